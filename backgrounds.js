@@ -0,0 +1,72 @@
+// Background fills for the Background panel. A background is a layer under everything
+// else that covers the print and its bleed; these work out its fill in the layer's own
+// coordinates, where box is the print area inside the bleed.
+export const BACKGROUND_TYPES = {
+  none: "None",
+  solid: "Solid",
+  linear: "Linear",
+  radial: "Radial",
+  image: "Image",
+}
+
+export const BACKGROUND_IMAGE_MODES = {
+  fill: "Fill",
+  fit: "Fit",
+  tile: "Tile",
+}
+
+// Stop offsets are percentages; angle follows CSS, 0° running bottom to top and 90° left
+// to right. color is the solid fill, and shows around an image that fits inside the print.
+// tileMm is the printed width of one tile.
+export const DEFAULT_BACKGROUND_SETTINGS = {
+  type: "solid",
+  color: "#ffffff",
+  stops: [
+    { offset: 0, color: "#fde68a" },
+    { offset: 100, color: "#f472b6" },
+  ],
+  angle: 90,
+  imageMode: "fill",
+  tileMm: 40,
+}
+
+export function getGradientStops(stops) {
+  return [...stops]
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, color }) => ({ offset: Math.min(Math.max(offset, 0), 100) / 100, color }))
+}
+
+// Linear gradients run through the centre of the print, long enough to reach its far corners
+// at any angle; radial ones reach the corners from the centre. Both carry on into the bleed.
+export function getGradientCoords(type, angle, { left, top, width, height }) {
+  const cx = left + width / 2
+  const cy = top + height / 2
+  if (type === "radial") {
+    return { x1: cx, y1: cy, r1: 0, x2: cx, y2: cy, r2: Math.hypot(width, height) / 2 }
+  }
+  const radians = (angle * Math.PI) / 180
+  const dx = Math.sin(radians)
+  const dy = -Math.cos(radians)
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2
+  return { x1: cx - dx * half, y1: cy - dy * half, x2: cx + dx * half, y2: cy + dy * half }
+}
+
+// Scale and position of the image in the layer. Fill covers the whole layer, so the bleed
+// never shows white; fit shows all of it inside the print; both are centred. Tiles start at
+// the print's top-left corner, and on a wrapping print a whole number of them runs across
+// it so they meet at the seam.
+export function placeBackgroundImage({ imageMode, tileWidth, wraps }, { imageWidth, imageHeight }, box, layer) {
+  if (imageMode === "tile") {
+    const across = Math.max(1, Math.round(box.width / tileWidth))
+    const scale = (wraps ? box.width / across : tileWidth) / imageWidth
+    return { scale, x: box.left, y: box.top }
+  }
+  const area = imageMode === "fit" ? box : layer
+  const ratios = [area.width / imageWidth, area.height / imageHeight]
+  const scale = imageMode === "fit" ? Math.min(...ratios) : Math.max(...ratios)
+  return {
+    scale,
+    x: area.left + (area.width - imageWidth * scale) / 2,
+    y: area.top + (area.height - imageHeight * scale) / 2,
+  }
+}
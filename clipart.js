@@ -0,0 +1,35 @@
+// Bundled clipart catalogue. The SVG files live in images/clipart; names, categories
+// and tags are what the panel's search matches against.
+export const CLIPART_CATEGORIES = {
+  icons: "Icons",
+  frames: "Frames",
+  badges: "Badges",
+}
+
+export const CLIPART = [
+  { id: "coffee", name: "Coffee cup", category: "icons", tags: ["mug", "drink", "cafe", "morning", "steam"] },
+  { id: "sun", name: "Sun", category: "icons", tags: ["summer", "sunny", "weather", "bright"] },
+  { id: "leaf", name: "Leaf", category: "icons", tags: ["nature", "plant", "green", "eco"] },
+  { id: "paw", name: "Paw print", category: "icons", tags: ["pet", "dog", "cat", "animal"] },
+  { id: "music", name: "Music notes", category: "icons", tags: ["song", "melody", "band", "notes"] },
+  { id: "crown", name: "Crown", category: "icons", tags: ["king", "queen", "royal", "princess", "boss"] },
+  { id: "lightning", name: "Lightning bolt", category: "icons", tags: ["energy", "power", "storm", "flash"] },
+  { id: "mountain", name: "Mountains", category: "icons", tags: ["outdoors", "hiking", "travel", "adventure"] },
+  { id: "circle-frame", name: "Circle frame", category: "frames", tags: ["round", "border", "ring", "monogram"] },
+  { id: "rounded-frame", name: "Rounded frame", category: "frames", tags: ["border", "rectangle", "dashed", "label"] },
+  { id: "scalloped-frame", name: "Scalloped frame", category: "frames", tags: ["round", "border", "cute", "label"] },
+  { id: "corner-frame", name: "Corner frame", category: "frames", tags: ["border", "square", "classic", "photo"] },
+  { id: "ribbon-badge", name: "Ribbon badge", category: "badges", tags: ["award", "winner", "medal", "prize"] },
+  { id: "seal", name: "Seal", category: "badges", tags: ["stamp", "sticker", "starburst", "sale", "quality"] },
+  { id: "banner", name: "Banner", category: "badges", tags: ["ribbon", "title", "label", "sign"] },
+  { id: "shield", name: "Shield", category: "badges", tags: ["crest", "emblem", "team", "star", "sport"] },
+].map((item) => ({ ...item, file: `images/clipart/${item.id}.svg` }))
+
+// Every word of the query has to appear in the item's name, category or tags
+export function searchClipart(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+  return CLIPART.filter((item) => {
+    const haystack = [item.name, CLIPART_CATEGORIES[item.category], ...item.tags].join(" ").toLowerCase()
+    return terms.every((term) => haystack.includes(term))
+  })
+}
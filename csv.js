@@ -0,0 +1,58 @@
+// Minimal CSV reader for batch personalisation: quoted fields (with "" escapes and line
+// breaks), CRLF or LF line ends, and comma or semicolon separators as spreadsheets export
+// them. The first row is the header.
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/))
+  const count = (delimiter) => firstLine.split(delimiter).length
+  return count(";") > count(",") ? ";" : ","
+}
+
+function parseRecords(text, delimiter) {
+  const records = []
+  let record = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  if (field || record.length) {
+    record.push(field)
+    records.push(record)
+  }
+  return records
+}
+
+// Rows come back as objects keyed by column name; blank lines are dropped
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "")
+  const [header = [], ...records] = parseRecords(source, detectDelimiter(source))
+  const columns = header.map((column) => column.trim())
+  const rows = records
+    .filter((record) => record.some((value) => value.trim()))
+    .map((record) => Object.fromEntries(columns.map((column, i) => [column, (record[i] ?? "").trim()])))
+  return { columns, rows }
+}
@@ -0,0 +1,67 @@
+// User-uploaded fonts. Each is registered with the FontFace API and kept as a data URL,
+// so designs that use it can carry the font file with them.
+export const FONT_FORMATS = {
+  ttf: "truetype",
+  otf: "opentype",
+  woff: "woff",
+  woff2: "woff2",
+}
+
+export class FontLibrary {
+  constructor() {
+    this.fonts = new Map()
+  }
+
+  get families() {
+    return [...this.fonts.keys()].sort((a, b) => a.localeCompare(b))
+  }
+
+  has(family) {
+    return this.fonts.has(family)
+  }
+
+  get(family) {
+    return this.fonts.get(family) || null
+  }
+
+  // Resolves once the font can be drawn on a canvas; a font that fails to load is dropped again
+  register({ family, format, dataURL }) {
+    if (this.fonts.has(family)) return this.fonts.get(family).loaded
+
+    const face = new FontFace(family, `url("${dataURL}") format("${format}")`)
+    const font = { family, format, dataURL, face }
+    font.loaded = face.load().then(() => {
+      document.fonts.add(face)
+      // Text measured with a fallback font before this one arrived has to be measured again
+      fabric.util.clearFabricFontCache(family)
+      // Lets the SVG export embed the font for text that stays live
+      fabric.fontPaths[family] = dataURL
+      return font
+    })
+    font.loaded.catch(() => this.fonts.delete(family))
+    this.fonts.set(family, font)
+    return font.loaded
+  }
+
+  registerAll(fonts = []) {
+    return Promise.allSettled(fonts.map((font) => this.register(font)))
+  }
+
+  remove(family) {
+    const font = this.fonts.get(family)
+    if (!font) return
+    document.fonts.delete(font.face)
+    delete fabric.fontPaths[family]
+    this.fonts.delete(family)
+  }
+
+  // Font files for the given families, for storing with a design
+  serialize(families) {
+    return [...families]
+      .filter((family) => this.fonts.has(family))
+      .map((family) => {
+        const { format, dataURL } = this.fonts.get(family)
+        return { family, format, dataURL }
+      })
+  }
+}
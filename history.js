@@ -0,0 +1,54 @@
+// Undo/redo timeline. Every user action is committed as one named step holding
+// the design state after that action; undo/redo/goTo just move the cursor.
+const MAX_HISTORY = 50
+
+export class DesignHistory {
+  constructor({ limit = MAX_HISTORY, onChange = () => {} } = {}) {
+    this.limit = limit
+    this.onChange = onChange
+    this.entries = []
+    this.index = -1
+  }
+
+  get current() {
+    return this.entries[this.index] || null
+  }
+
+  get canUndo() {
+    return this.index > 0
+  }
+
+  get canRedo() {
+    return this.index < this.entries.length - 1
+  }
+
+  reset(label, state) {
+    this.entries = [{ label, state }]
+    this.index = 0
+    this.onChange()
+  }
+
+  push(label, state) {
+    // Committing after an undo drops the steps that could have been redone
+    this.entries = this.entries.slice(0, this.index + 1)
+    this.entries.push({ label, state })
+    if (this.entries.length > this.limit) this.entries.shift()
+    this.index = this.entries.length - 1
+    this.onChange()
+  }
+
+  undo() {
+    return this.canUndo ? this.goTo(this.index - 1) : null
+  }
+
+  redo() {
+    return this.canRedo ? this.goTo(this.index + 1) : null
+  }
+
+  goTo(index) {
+    if (index < 0 || index >= this.entries.length || index === this.index) return null
+    this.index = index
+    this.onChange()
+    return this.current
+  }
+}
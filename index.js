@@ -1,1040 +1,4977 @@
-import * as THREE from "three"
-import { OrbitControls } from "three/addons/controls/OrbitControls.js"
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
-
-
-// Constants
-const SAFE_ZONE = { left: 60, right: 60, top: 10, bottom: 10 }
-const BLEED_MARGIN = 10
-const DEBOUNCE_TIME = 300
-const DEFAULT_CANVAS_WIDTH = 614
-const DEFAULT_CANVAS_HEIGHT = 230
-const ASPECT_RATIO = DEFAULT_CANVAS_WIDTH / DEFAULT_CANVAS_HEIGHT
-
-class MugDesigner {
-  constructor() {
-    this.meshes = {}
-    this.mug = null
-    this.history = []
-    this.lastCanvasState = null
-    this.patternMovable = false
-    this.init()
-    this.setupScene()
-    this.setupLights()
-    this.setupControls()
-    this.setupFabric()
-    this.setupEventListeners()
-    this.setupUI()
-    this.loadMug()
-    this.animate()
-  }
-
-  debounce(func, wait) {
-    let timeout
-    return (...args) => {
-      clearTimeout(timeout)
-      timeout = setTimeout(() => func.apply(this, args), wait)
-    }
-  }
-
-  init() {
-    this.container = document.getElementById("modelViewer")
-    this.scene = new THREE.Scene()
-    this.scene.background = new THREE.Color(0xffffff)
-
-    this.camera = new THREE.PerspectiveCamera(45, this.container.clientWidth / this.container.clientHeight, 0.1, 1000)
-    this.camera.position.set(0, 0, 10)
-
-    this.renderer = new THREE.WebGLRenderer({ antialias: true })
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight)
-    this.renderer.setPixelRatio(window.devicePixelRatio)
-    this.container.appendChild(this.renderer.domElement)
-  }
-
-  setupScene() {
-    this.scene.background = new THREE.Color(0xffffff)
-  }
-
-  setupLights() {
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7)
-    this.scene.add(ambientLight)
-
-    const mainLight = new THREE.DirectionalLight(0xffffff, 1)
-    mainLight.position.set(10, 10, 10)
-    this.scene.add(mainLight)
-
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.5)
-    fillLight.position.set(-10, 0, -10)
-    this.scene.add(fillLight)
-
-    const topLight = new THREE.DirectionalLight(0xffffff, 0.3)
-    topLight.position.set(0, 10, 0)
-    this.scene.add(topLight)
-
-    const frontLight = new THREE.DirectionalLight(0xffffff, 0.8)
-    frontLight.position.set(0, 0, 20)
-    this.scene.add(frontLight)
-  }
-
-  setupControls() {
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
-    this.controls.enableDamping = true
-    this.controls.dampingFactor = 0.05
-    this.controls.minDistance = 20
-    this.controls.maxDistance = 80
-    this.controls.target.set(0, 0, 0)
-    this.controls.minPolarAngle = Math.PI / 3
-    this.controls.maxPolarAngle = Math.PI / 1.7
-    this.controls.enablePan = false
-  }
-
-  setupFabric() {
-    const mode = "Printful"
-    const marginTop = 3
-    const marginBottom = 5
-    const marginLeft = 60
-    const marginRight = 60
-
-    let printWidth = DEFAULT_CANVAS_WIDTH
-    let printHeight = DEFAULT_CANVAS_HEIGHT
-
-    if (mode !== "Printful") {
-      printWidth = DEFAULT_CANVAS_WIDTH + marginLeft + marginRight
-      printHeight = DEFAULT_CANVAS_HEIGHT + marginTop + marginBottom
-    }
-
-    this.canvas = new fabric.Canvas("designCanvas", {
-      backgroundColor: "white",
-      width: printWidth,
-      height: printHeight,
-      preserveObjectStacking: true,
-    })
-
-    if (mode === "Printful") {
-      this.safeRect = new fabric.Rect({
-        left: marginLeft,
-        top: marginTop,
-        width: printWidth - (marginLeft + marginRight),
-        height: printHeight - (marginTop + marginBottom),
-        fill: "transparent",
-        stroke: "#ef4444",
-        strokeWidth: 0.4,
-        strokeDashArray: [15, 10],
-        selectable: false,
-        evented: false,
-        excludeFromLayers: true,
-        excludeFromExport: true,
-      })
-      this.canvas.add(this.safeRect)
-      this.canvas.sendToBack(this.safeRect)
-    }
-
-    this.bleedRect = new fabric.Rect({
-      left: -BLEED_MARGIN,
-      top: -BLEED_MARGIN,
-      width: printWidth + BLEED_MARGIN * 2,
-      height: printHeight + BLEED_MARGIN * 2,
-      fill: "transparent",
-      stroke: "#f97316",
-      strokeDashArray: [5, 5],
-      selectable: false,
-      evented: false,
-      excludeFromLayers: true,
-      excludeFromExport: true,
-    })
-    this.canvas.add(this.bleedRect)
-    this.canvas.sendToBack(this.bleedRect)
-
-    this.vGuide = new fabric.Line([printWidth / 2, 0, printWidth / 2, printHeight], {
-      stroke: "rgba(37, 99, 235, 0.5)",
-      selectable: false,
-      evented: false,
-      visible: false,
-      excludeFromLayers: true,
-      excludeFromExport: true,
-    })
-    this.hGuide = new fabric.Line([0, printHeight / 2, printWidth, printHeight / 2], {
-      stroke: "rgba(37, 99, 235, 0.5)",
-      selectable: false,
-      evented: false,
-      visible: false,
-      excludeFromLayers: true,
-      excludeFromExport: true,
-    })
-    this.canvas.add(this.vGuide, this.hGuide)
-
-    // Enhanced fabric controls
-    fabric.Object.prototype.transparentCorners = false
-    fabric.Object.prototype.cornerStyle = "circle"
-    fabric.Object.prototype.cornerColor = "rgba(37, 99, 235, 0.9)"
-    fabric.Object.prototype.borderColor = "rgba(37, 99, 235, 0.6)"
-    fabric.Object.prototype.cornerSize = 10
-    fabric.Object.prototype.padding = 5
-
-    // Custom controls
-    fabric.Object.prototype.controls.deleteControl = new fabric.Control({
-      x: 0.5,
-      y: -0.5,
-      offsetX: 16,
-      offsetY: -16,
-      cursorStyle: "pointer",
-      mouseUpHandler: (eventData, transform) => {
-        const target = transform.target
-        const canvas = target.canvas
-        canvas.remove(target)
-        canvas.discardActiveObject()
-        canvas.requestRenderAll()
-        this.saveHistory()
-        this.updateLayersPanel()
-        this.debouncedUpdate()
-        return true
-      },
-      render: (ctx, left, top) => {
-        ctx.save()
-        ctx.translate(left, top)
-        ctx.beginPath()
-        ctx.arc(0, 0, 10, 0, Math.PI * 2, false)
-        ctx.fillStyle = "#ef4444"
-        ctx.fill()
-        ctx.strokeStyle = "#fff"
-        ctx.lineWidth = 2
-        ctx.stroke()
-        ctx.fillStyle = "#fff"
-        ctx.font = "12px Inter"
-        ctx.textAlign = "center"
-        ctx.textBaseline = "middle"
-        ctx.fillText("✕", 0, 1)
-        ctx.restore()
-      },
-    })
-
-    fabric.Object.prototype.controls.cloneControl = new fabric.Control({
-      x: -0.5,
-      y: -0.5,
-      offsetX: -16,
-      offsetY: -16,
-      cursorStyle: "copy",
-      mouseUpHandler: (eventData, transform) => {
-        const target = transform.target
-        const canvas = target.canvas
-        if (target) {
-          target.clone((clone) => {
-            clone.set({
-              left: target.left + 30,
-              top: target.top + 30,
-              evented: true,
-            })
-            canvas.add(clone)
-            canvas.setActiveObject(clone)
-            canvas.requestRenderAll()
-            this.saveHistory()
-            this.updateLayersPanel()
-            this.debouncedUpdate()
-          })
-        }
-        return true
-      },
-      render: (ctx, left, top) => {
-        ctx.save()
-        ctx.translate(left, top)
-        ctx.beginPath()
-        ctx.arc(0, 0, 10, 0, Math.PI * 2, false)
-        ctx.fillStyle = "#10b981"
-        ctx.fill()
-        ctx.strokeStyle = "#fff"
-        ctx.lineWidth = 2
-        ctx.stroke()
-        ctx.fillStyle = "#fff"
-        ctx.font = "12px Inter"
-        ctx.textAlign = "center"
-        ctx.textBaseline = "middle"
-        ctx.fillText("+", 0, 1)
-        ctx.restore()
-      },
-    })
-
-    this.updateLayersPanel()
-  }
-
-  setupUI() {
-    // Panel management
-    const panels = ["textPanel", "imagePanel", "patternsPanel", "colorsPanel"]
-    const toggles = ["addTextBtn", "addImageBtn", "patternsToggle", "colorsToggle"]
-
-    toggles.forEach((toggleId, index) => {
-      const toggle = document.getElementById(toggleId)
-      const panel = document.getElementById(panels[index])
-
-      toggle.addEventListener("click", () => {
-        // Close all other panels
-        panels.forEach((panelId, i) => {
-          const p = document.getElementById(panelId)
-          const t = document.getElementById(toggles[i])
-          if (i !== index) {
-            p.classList.remove("active")
-            t.classList.remove("active")
-          }
-        })
-
-        // Toggle current panel
-        panel.classList.toggle("active")
-        toggle.classList.toggle("active")
-      })
-    })
-
-    // Close panel buttons
-    document.querySelectorAll(".panel-close").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        const panel = e.target.closest(".sidebar-panel")
-        panel.classList.remove("active")
-
-        // Remove active state from corresponding toggle
-        const panelId = panel.id
-        const index = panels.indexOf(panelId)
-        if (index !== -1) {
-          document.getElementById(toggles[index]).classList.remove("active")
-        }
-      })
-    })
-
-    // Upload area drag and drop
-    const uploadArea = document.getElementById("uploadArea")
-    const imageInput = document.getElementById("imageInput")
-
-    uploadArea.addEventListener("click", () => imageInput.click())
-
-    uploadArea.addEventListener("dragover", (e) => {
-      e.preventDefault()
-      uploadArea.style.borderColor = "#2563eb"
-      uploadArea.style.background = "#dbeafe"
-    })
-
-    uploadArea.addEventListener("dragleave", () => {
-      uploadArea.style.borderColor = "#cbd5e1"
-      uploadArea.style.background = "transparent"
-    })
-
-    uploadArea.addEventListener("drop", (e) => {
-      e.preventDefault()
-      uploadArea.style.borderColor = "#cbd5e1"
-      uploadArea.style.background = "transparent"
-
-      const files = e.dataTransfer.files
-      if (files.length > 0) {
-        this.handleImageUpload(files[0])
-      }
-    })
-  }
-
-  handleImageUpload(file) {
-    if (file && file.type.startsWith("image/")) {
-      const imgURL = URL.createObjectURL(file)
-      fabric.Image.fromURL(
-        imgURL,
-        (img) => {
-          const scale = Math.min(0.3, (this.canvas.width - 40) / img.width, (this.canvas.height - 40) / img.height)
-          const marginLeft = 60
-          const marginRight = 60
-          const marginTop = 10
-          const marginBottom = 10
-          const safeW = this.canvas.width - (marginLeft + marginRight)
-          const safeH = this.canvas.height - (marginTop + marginBottom)
-
-          img.set({
-            left: this.canvas.width / 2,
-            top: this.canvas.height / 2,
-            originX: "center",
-            originY: "center",
-            scaleX: scale,
-            scaleY: scale,
-          })
-
-          const clipRect = new fabric.Rect({
-            left: marginLeft,
-            top: marginTop,
-            width: safeW,
-            height: safeH,
-            absolutePositioned: true,
-          })
-          img.clipPath = clipRect
-
-          if (document.getElementById("grayscaleFilter")?.checked) {
-            img.filters.push(new fabric.Image.filters.Grayscale())
-            img.applyFilters()
-          }
-
-          this.canvas.add(img)
-          this.canvas.setActiveObject(img)
-          this.checkBounds(img)
-          img.setCoords()
-          this.canvas.renderAll()
-          this.saveHistory()
-          this.updateLayersPanel()
-          this.debouncedUpdate()
-
-          // Close image panel
-          document.getElementById("imagePanel").classList.remove("active")
-          document.getElementById("addImageBtn").classList.remove("active")
-        },
-        { crossOrigin: "Anonymous" },
-      )
-    }
-  }
-
-  // ... existing code continues with all the other methods ...
-
-  async loadMug() {
-    const loader = new GLTFLoader()
-    try {
-      const gltf = await new Promise((resolve, reject) => {
-        loader.load("images/mug.glb", resolve, undefined, reject)
-      })
-      if (this.mug) this.scene.remove(this.mug)
-      this.mug = gltf.scene
-
-      this.mug.traverse((child) => {
-        if (child.isMesh) {
-          this.meshes[child.name] = child
-          child.material = new THREE.MeshStandardMaterial({
-            metalness: 0.3,
-            roughness: 0.4,
-            color: child.material.color,
-          })
-        }
-      })
-
-      const scale = 40
-      this.mug.scale.set(scale, scale, scale)
-
-      const box = new THREE.Box3().setFromObject(this.mug)
-      const center = box.getCenter(new THREE.Vector3())
-      this.mug.position.sub(center)
-
-      this.mug.rotation.y = Math.PI * 0.3
-      this.scene.add(this.mug)
-
-      this.controls.target.set(0, 0, 0)
-      this.camera.position.set(0, 0, 40)
-      this.camera.lookAt(0, 0, 0)
-      this.controls.minDistance = 10
-      this.controls.maxDistance = 25
-      this.controls.update()
-    } catch (error) {
-      console.error("Error loading mug:", error)
-      this.showModal("⚠ Failed to load mug model. Please try again.")
-    }
-  }
-
-  updateMugTexture() {
-    const outerMug = this.meshes["Object_4"]
-    if (!outerMug) return
-
-    this.canvas.getObjects().forEach((obj) => {
-      if (obj.excludeFromExport) {
-        obj.set({ visible: false })
-      }
-    })
-    this.canvas.renderAll()
-
-    const multiplier = Math.min(4, window.innerWidth / 500)
-    const dataURL = this.canvas.toDataURL({
-      format: "png",
-      multiplier,
-      quality: 1,
-    })
-
-    this.canvas.getObjects().forEach((obj) => {
-      if (obj.excludeFromExport) {
-        obj.set({ visible: true })
-      }
-    })
-    this.canvas.renderAll()
-
-    const texture = new THREE.TextureLoader().load(dataURL, (tex) => {
-      tex.anisotropy = this.renderer.capabilities.getMaxAnisotropy()
-      tex.encoding = THREE.sRGBEncoding
-      if (outerMug.material.map) outerMug.material.map.dispose()
-      outerMug.material.map = tex
-      outerMug.material.needsUpdate = true
-    })
-  }
-
-  saveHistory() {
-    this.history.push(JSON.stringify(this.canvas.toJSON()))
-    if (this.history.length > 50) this.history.shift()
-  }
-
-  updateLayersPanel() {
-    const layersPanel = document.getElementById("layersPanel")
-    if (!layersPanel) return
-
-    layersPanel.innerHTML = ""
-    const objects = this.canvas.getObjects()
-    const designObjects = objects.filter(
-      (obj) =>
-        obj !== this.safeRect &&
-        obj !== this.bleedRect &&
-        obj !== this.vGuide &&
-        obj !== this.hGuide &&
-        !obj.excludeFromLayers,
-    )
-
-    if (designObjects.length === 0) {
-      layersPanel.innerHTML =
-        '<p style="text-align: center; color: #94a3b8; font-size: 0.875rem; padding: 1rem;">No layers yet</p>'
-      return
-    }
-
-    designObjects.forEach((obj, index) => {
-      const layerDiv = document.createElement("div")
-      layerDiv.className = "layer-item"
-
-      const label = document.createElement("span")
-      label.textContent =
-        obj.type === "i-text"
-          ? `Text: ${obj.text.substring(0, 20)}...`
-          : obj.patternImage
-            ? "Pattern"
-            : `Image ${index + 1}`
-      layerDiv.appendChild(label)
-
-      const lockBtn = document.createElement("button")
-      lockBtn.innerHTML = obj.selectable ? '<i class="fas fa-unlock"></i>' : '<i class="fas fa-lock"></i>'
-      lockBtn.addEventListener("click", () => {
-        obj.set({
-          selectable: !obj.selectable,
-          evented: !obj.evented,
-          hasControls: !obj.hasControls,
-        })
-        lockBtn.innerHTML = obj.selectable ? '<i class="fas fa-unlock"></i>' : '<i class="fas fa-lock"></i>'
-        this.canvas.renderAll()
-        this.debouncedUpdate()
-      })
-      layerDiv.appendChild(lockBtn)
-
-      label.addEventListener("click", () => {
-        this.canvas.setActiveObject(obj)
-        this.canvas.renderAll()
-      })
-
-      layersPanel.appendChild(layerDiv)
-    })
-  }
-
-  updateCanvasSize(containerWidth, containerHeight) {
-    let newWidth = Math.min(containerWidth - 32, DEFAULT_CANVAS_WIDTH)
-    let newHeight = newWidth / ASPECT_RATIO
-
-    if (newHeight > containerHeight - 32) {
-      newHeight = containerHeight - 32
-      newWidth = newHeight * ASPECT_RATIO
-    }
-
-    this.canvas.setDimensions({
-      width: newWidth,
-      height: newHeight,
-    })
-
-    const marginLeft = 60
-    const marginRight = 60
-    const marginTop = 3
-    const marginBottom = 5
-
-    this.safeRect.set({
-      left: marginLeft,
-      top: marginTop,
-      width: newWidth - (marginLeft + marginRight),
-      height: newHeight - (marginTop + marginBottom),
-    })
-
-    this.bleedRect.set({
-      left: -BLEED_MARGIN,
-      top: -BLEED_MARGIN,
-      width: newWidth + BLEED_MARGIN * 2,
-      height: newHeight + BLEED_MARGIN * 2,
-    })
-
-    this.vGuide.set({
-      x1: newWidth / 2,
-      x2: newWidth / 2,
-      y2: newHeight,
-    })
-    this.hGuide.set({
-      y1: newHeight / 2,
-      y2: newHeight / 2,
-      x2: newWidth,
-    })
-
-    this.canvas.renderAll()
-    this.debouncedUpdate()
-  }
-
-  snapToCenter(obj, snapPx = 10) {
-    const center = obj.getCenterPoint()
-    let snapped = false
-
-    if (Math.abs(center.x - this.canvas.width / 2) < snapPx) {
-      obj.setPositionByOrigin(new fabric.Point(this.canvas.width / 2, center.y), "center", "center")
-      this.vGuide.set({ visible: true })
-      snapped = true
-    } else {
-      this.vGuide.set({ visible: false })
-    }
-
-    if (Math.abs(center.y - this.canvas.height / 2) < snapPx) {
-      obj.setPositionByOrigin(new fabric.Point(center.x, this.canvas.height / 2), "center", "center")
-      this.hGuide.set({ visible: true })
-      snapped = true
-    } else {
-      this.hGuide.set({ visible: false })
-    }
-
-    if (snapped) this.canvas.requestRenderAll()
-  }
-
-  checkBounds(obj) {
-    if (!obj) return
-
-    const bounds = obj.getBoundingRect(true)
-    const safe = this.safeRect.getBoundingRect(true)
-    const bleed = this.bleedRect.getBoundingRect(true)
-
-    if (
-      bounds.left < bleed.left ||
-      bounds.left + bounds.width > bleed.left + bleed.width ||
-      bounds.top < bleed.top ||
-      bounds.top + bounds.height > bleed.top + bleed.height
-    ) {
-      console.warn("⚠ Element is outside the safe printing area!")
-    }
-
-    if (obj.type === "i-text") {
-      let objWidth = obj.width * obj.scaleX
-      let objHeight = obj.height * obj.scaleY
-
-      const maxWidth = safe.width
-      const maxHeight = safe.height
-
-      if (objWidth > maxWidth) {
-        obj.scaleX = maxWidth / obj.width
-        objWidth = maxWidth
-      }
-      if (objHeight > maxHeight) {
-        obj.scaleY = maxHeight / obj.height
-        objHeight = maxHeight
-      }
-
-      const objHalfW = objWidth / 2
-      const objHalfH = objHeight / 2
-
-      const minX = safe.left + objHalfW
-      const maxX = safe.left + safe.width - objHalfW
-      const minY = safe.top + objHalfH
-      const maxY = safe.top + safe.height - objHalfH
-
-      if (obj.left < minX) obj.left = minX
-      if (obj.left > maxX) obj.left = maxX
-      if (obj.top < minY) obj.top = minY
-      if (obj.top > maxY) obj.top = maxY
-    }
-  }
-
-  showModal(message) {
-    const modal = document.getElementById("warningModal")
-    const messageEl = document.getElementById("warningMessage")
-    messageEl.textContent = message
-    modal.style.display = "block"
-
-    setTimeout(() => {
-      modal.style.display = "none"
-    }, 3000)
-  }
-
-  setupEventListeners() {
-    this.debouncedUpdate = this.debounce(() => this.updateMugTexture(), DEBOUNCE_TIME)
-
-    // Canvas events
-    this.canvas.on("object:moving", ({ target }) => {
-      this.snapToCenter(target)
-      this.checkBounds(target)
-    })
-
-    this.canvas.on("object:scaling", ({ target }) => {
-      this.checkBounds(target)
-    })
-
-    this.canvas.on("object:modified", ({ target }) => {
-      this.vGuide.visible = false
-      this.hGuide.visible = false
-      this.checkBounds(target)
-      target.setCoords()
-      this.canvas.renderAll()
-      this.saveHistory()
-      this.updateLayersPanel()
-      this.debouncedUpdate()
-    })
-
-    this.canvas.on("object:added", () => {
-      this.saveHistory()
-      this.updateLayersPanel()
-      this.debouncedUpdate()
-    })
-
-    this.canvas.on("object:removed", () => {
-      this.canvas.discardActiveObject()
-      this.canvas.requestRenderAll()
-      this.saveHistory()
-      this.updateLayersPanel()
-      this.debouncedUpdate()
-    })
-
-    // Text functionality
-    document.getElementById("addTextConfirm").addEventListener("click", () => {
-      const text = document.getElementById("textInput").value || "Sample Text"
-      const fontStyle = document.getElementById("fontStyleSelect")?.value || "normal"
-      const fabricText = new fabric.IText(text, {
-        left: this.canvas.width / 2,
-        top: this.canvas.height / 2,
-        fontSize: 40,
-        fill: document.getElementById("colorPicker")?.value || "#000000",
-        fontFamily: document.getElementById("fontSelect").value,
-        originX: "center",
-        originY: "center",
-        fontWeight: fontStyle.includes("bold") ? "bold" : "normal",
-        fontStyle: fontStyle.includes("italic") ? "italic" : "normal",
-        stroke: "#000000",
-        strokeWidth: fontStyle.includes("outline") ? 1 : 0,
-      })
-      this.canvas.add(fabricText)
-      this.canvas.setActiveObject(fabricText)
-      this.checkBounds(fabricText)
-      fabricText.setCoords()
-      this.canvas.renderAll()
-
-      // Close text panel
-      document.getElementById("textPanel").classList.remove("active")
-      document.getElementById("addTextBtn").classList.remove("active")
-    })
-
-    // Image upload
-    const imageInput = document.getElementById("imageInput")
-    imageInput.addEventListener("change", (e) => {
-      const file = e.target.files[0]
-      if (file) {
-        this.handleImageUpload(file)
-      }
-    })
-
-    // Color swatches
-    document.querySelectorAll(".color-swatch").forEach((swatch) => {
-      swatch.addEventListener("click", (e) => {
-        const color = e.target.dataset.color
-        const innerMug = this.meshes["Object_5"]
-        if (innerMug) {
-          innerMug.material.color.setStyle(color)
-          innerMug.material.needsUpdate = true
-        }
-        document.querySelectorAll(".color-swatch").forEach((s) => s.classList.remove("active"))
-        e.target.classList.add("active")
-      })
-    })
-
-    // Pattern selection
-    document.querySelectorAll(".pattern-item").forEach((item) => {
-      item.addEventListener("click", () => {
-        const img = item.querySelector("img")
-        const url = img.getAttribute("src")
-        this.addPatternImage(url)
-
-        // Close patterns panel
-        document.getElementById("patternsPanel").classList.remove("active")
-        document.getElementById("patternsToggle").classList.remove("active")
-      })
-    })
-
-    // Control buttons
-    document.getElementById("exportBtn").addEventListener("click", () => {
-      this.canvas.getObjects().forEach((obj) => {
-        if (obj.excludeFromExport) {
-          obj.set({ visible: false })
-        }
-      })
-      this.canvas.renderAll()
-
-      const exportURL = this.canvas.toDataURL({
-        format: "png",
-        multiplier: 8,
-        quality: 1,
-      })
-
-      this.canvas.getObjects().forEach((obj) => {
-        if (obj.excludeFromExport) {
-          obj.set({ visible: true })
-        }
-      })
-      this.canvas.renderAll()
-
-      const link = document.createElement("a")
-      link.href = exportURL
-      link.download = "mug_design.png"
-      link.click()
-    })
-
-    document.getElementById("resetBtn").addEventListener("click", () => {
-      if (confirm("Are you sure you want to reset the design? This action cannot be undone.")) {
-        this.resetDesign()
-      }
-    })
-
-    document.getElementById("undoBtn").addEventListener("click", () => {
-      if (this.history.length > 0) {
-        this.history.pop()
-        const lastState = this.history[this.history.length - 1]
-        if (lastState) {
-          this.canvas.loadFromJSON(lastState, () => {
-            this.canvas.renderAll()
-            this.updateLayersPanel()
-            this.debouncedUpdate()
-          })
-        } else {
-          this.resetDesign()
-        }
-      }
-    })
-
-    document.getElementById("togglePatternBtn").addEventListener("click", () => {
-      this.patternMovable = !this.patternMovable
-      const button = document.getElementById("togglePatternBtn")
-      const icon = button.querySelector("i")
-
-      if (this.patternMovable) {
-        button.innerHTML = '<i class="fas fa-unlock"></i> Disable Pattern Movement'
-        icon.className = "fas fa-unlock"
-      } else {
-        button.innerHTML = '<i class="fas fa-lock"></i> Enable Pattern Movement'
-        icon.className = "fas fa-lock"
-      }
-
-      this.canvas.getObjects().forEach((obj) => {
-        if (obj.patternImage) {
-          obj.set({
-            selectable: this.patternMovable,
-            evented: this.patternMovable,
-            hasControls: this.patternMovable,
-            lockScalingX: !this.patternMovable,
-            lockScalingY: !this.patternMovable,
-            lockRotation: !this.patternMovable,
-          })
-          obj.setCoords()
-        }
-      })
-      this.canvas.renderAll()
-      this.debouncedUpdate()
-    })
-
-    // Modal close
-    document.querySelector(".close-btn").addEventListener("click", () => {
-      document.getElementById("warningModal").style.display = "none"
-    })
-
-    // Splitter functionality
-    this.setupSplitter()
-
-    // Window resize
-    window.addEventListener("resize", () => {
-      const width = this.container.clientWidth
-      const height = this.container.clientHeight
-      this.camera.aspect = width / height
-      this.camera.updateProjectionMatrix()
-      this.renderer.setSize(width, height)
-
-      const canvasContainer = document.querySelector(".canvas-container .canvas-wrapper")
-      this.updateCanvasSize(canvasContainer.clientWidth, canvasContainer.clientHeight)
-    })
-  }
-
-  setupSplitter() {
-    const splitter = document.querySelector(".splitter")
-    const handle = document.querySelector(".splitter-handle")
-    const modelContainer = document.querySelector(".model-container")
-    const canvasContainer = document.querySelector(".canvas-container")
-    const splitContainer = document.querySelector(".split-container")
-
-    let isDragging = false
-
-    const startDrag = (e) => {
-      isDragging = true
-      e.preventDefault()
-      document.body.style.cursor = "col-resize"
-      document.body.style.userSelect = "none"
-    }
-
-    const drag = (e) => {
-      if (!isDragging) return
-
-      const containerRect = splitContainer.getBoundingClientRect()
-      const x = e.clientX - containerRect.left
-      const minWidth = 300
-      const splitterWidth = splitter.offsetWidth
-      const maxWidth = containerRect.width - minWidth - splitterWidth
-
-      const modelWidth = Math.max(minWidth, Math.min(x, maxWidth))
-      const canvasWidth = containerRect.width - modelWidth - splitterWidth
-
-      modelContainer.style.flex = `0 0 ${modelWidth}px`
-      canvasContainer.style.flex = `0 0 ${canvasWidth}px`
-
-      // Update 3D renderer
-      this.renderer.setSize(modelContainer.clientWidth, modelContainer.clientHeight)
-      this.camera.aspect = modelContainer.clientWidth / modelContainer.clientHeight
-      this.camera.updateProjectionMatrix()
-
-      // Update canvas
-      const canvasWrapper = canvasContainer.querySelector(".canvas-wrapper")
-      this.updateCanvasSize(canvasWrapper.clientWidth, canvasWrapper.clientHeight)
-    }
-
-    const stopDrag = () => {
-      isDragging = false
-      document.body.style.cursor = ""
-      document.body.style.userSelect = ""
-    }
-
-    handle.addEventListener("mousedown", startDrag)
-    splitter.addEventListener("mousedown", startDrag)
-    document.addEventListener("mousemove", drag)
-    document.addEventListener("mouseup", stopDrag)
-
-    // Touch events for mobile
-    handle.addEventListener("touchstart", (e) => startDrag(e.touches[0]))
-    document.addEventListener("touchmove", (e) => {
-      if (isDragging) drag(e.touches[0])
-    })
-    document.addEventListener("touchend", stopDrag)
-  }
-
-  resetDesign() {
-    this.canvas.clear()
-    this.canvas.backgroundColor = "white"
-
-    // Recreate guide elements
-    const marginLeft = 60
-    const marginRight = 60
-    const marginTop = 3
-    const marginBottom = 5
-
-    this.safeRect = new fabric.Rect({
-      left: marginLeft,
-      top: marginTop,
-      width: this.canvas.width - marginLeft - marginRight,
-      height: this.canvas.height - marginTop - marginBottom,
-      fill: "transparent",
-      stroke: "#ef4444",
-      strokeWidth: 0.4,
-      strokeDashArray: [15, 10],
-      selectable: false,
-      evented: false,
-      excludeFromLayers: true,
-      excludeFromExport: true,
-    })
-
-    this.bleedRect = new fabric.Rect({
-      left: -BLEED_MARGIN,
-      top: -BLEED_MARGIN,
-      width: this.canvas.width + BLEED_MARGIN * 2,
-      height: this.canvas.height + BLEED_MARGIN * 2,
-      fill: "transparent",
-      stroke: "#f97316",
-      strokeDashArray: [5, 5],
-      selectable: false,
-      evented: false,
-      excludeFromLayers: true,
-      excludeFromExport: true,
-    })
-
-    this.canvas.add(this.bleedRect, this.safeRect, this.vGuide, this.hGuide)
-    this.canvas.sendToBack(this.bleedRect)
-    this.canvas.sendToBack(this.safeRect)
-
-    // Reset mug texture
-    const outerMug = this.meshes["Object_4"]
-    if (outerMug) {
-      if (outerMug.material.map) outerMug.material.map.dispose()
-      outerMug.material.map = null
-      outerMug.material.needsUpdate = true
-    }
-
-    this.history = []
-    this.updateLayersPanel()
-    this.canvas.renderAll()
-    this.debouncedUpdate()
-  }
-
-  addPatternImage(url) {
-    fabric.Image.fromURL(
-      url,
-      (fImg) => {
-        const marginTop = 3
-        const marginBottom = 5
-        const marginLeft = 60
-        const marginRight = 60
-
-        const safeW = this.canvas.width - (marginLeft + marginRight)
-        const safeH = this.canvas.height - (marginTop + marginBottom)
-
-        const scale = Math.max(safeW / fImg.width, safeH / fImg.height)
-
-        fImg.set({
-          scaleX: scale,
-          scaleY: scale,
-          left: this.canvas.width / 2,
-          top: this.canvas.height / 2,
-          originX: "center",
-          originY: "center",
-          selectable: false,
-          evented: false,
-          hasControls: false,
-          lockScalingX: true,
-          lockScalingY: true,
-          lockRotation: true,
-          crossOrigin: "Anonymous",
-        })
-
-        // Remove existing patterns
-        this.canvas.getObjects().forEach((obj) => {
-          if (obj.patternImage) this.canvas.remove(obj)
-        })
-
-        fImg.patternImage = true
-
-        const clipRect = new fabric.Rect({
-          left: marginLeft,
-          top: marginTop,
-          width: safeW,
-          height: safeH,
-          absolutePositioned: true,
-        })
-
-        fImg.clipPath = clipRect
-
-        this.canvas.add(fImg)
-        this.canvas.sendToBack(fImg)
-        this.canvas.renderAll()
-        this.debouncedUpdate()
-      },
-      { crossOrigin: "Anonymous" },
-    )
-  }
-
-  animate() {
-    requestAnimationFrame(() => this.animate())
-    if (this.controls) this.controls.update()
-    if (this.renderer && this.scene && this.camera) {
-      this.renderer.render(this.scene, this.camera)
-    }
-  }
-}
-
-// Initialize the application
-new MugDesigner()
-
+import * as THREE from "three"
+import { OrbitControls } from "three/addons/controls/OrbitControls.js"
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
+import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js"
+import { ProjectStore } from "./projectStore.js"
+import { DesignHistory } from "./history.js"
+import { dataURLToBytes, setPngDpi } from "./pngDpi.js"
+import { DEFAULT_PROFILE, PRINT_PROFILES } from "./profiles.js"
+import { DEFAULT_PRODUCT, PRODUCTS } from "./products.js"
+import { MUG_FINISHES, MUG_PARTS, createMugParts, splitMugParts } from "./mugParts.js"
+import { SURFACES, createMarginTexture, fromTextureV } from "./surfaces.js"
+import { PLACEHOLDER_LOCKS, TEMPLATE_CATEGORIES, TEMPLATES } from "./templates.js"
+import { parseCsv } from "./csv.js"
+import { hasOuterStroke, registerTextEffects, withOuterStroke } from "./textEffects.js"
+import { FONT_FORMATS, FontLibrary } from "./fontLibrary.js"
+import { SHAPES } from "./shapes.js"
+import { CLIPART, CLIPART_CATEGORIES, searchClipart } from "./clipart.js"
+import {
+  DEFAULT_PATTERN_SETTINGS,
+  PATTERNS,
+  createPatternTile,
+  dragPatternOffset,
+  fitPatternToSeam,
+  getPatternTransform,
+  needsTileCanvas,
+} from "./patterns.js"
+import {
+  BACKGROUND_IMAGE_MODES,
+  BACKGROUND_TYPES,
+  DEFAULT_BACKGROUND_SETTINGS,
+  getGradientCoords,
+  getGradientStops,
+  placeBackgroundImage,
+} from "./backgrounds.js"
+
+
+// Constants
+const DEBOUNCE_TIME = 300
+const DEFAULT_CANVAS_WIDTH = 614
+const DEFAULT_CANVAS_HEIGHT = 360
+const MM_PER_INCH = 25.4
+const THUMBNAIL_WIDTH = 320
+const LAYER_THUMBNAIL_SIZE = 72
+// Effective print resolution below which an image is flagged as likely to print soft / blurry
+const LOW_DPI = 150
+const POOR_DPI = 100
+// Smart guides snap within this many screen pixels of another object or the safe zone
+const SNAP_DISTANCE = 6
+const GUIDE_COLOR = "#ec4899"
+const PLACEHOLDER_COLOR = "#0ea5e9"
+// at: where along the object (0 = start, 1 = end) it lines up with the reference box
+const ALIGNMENTS = {
+  left: { axis: "x", at: 0, label: "Align left" },
+  center: { axis: "x", at: 0.5, label: "Align centre" },
+  right: { axis: "x", at: 1, label: "Align right" },
+  top: { axis: "y", at: 0, label: "Align top" },
+  middle: { axis: "y", at: 0.5, label: "Align middle" },
+  bottom: { axis: "y", at: 1, label: "Align bottom" },
+}
+const DEFAULT_SHAPE_COLOR = "#2563eb"
+// Object types that make up shapes and clipart, whose fills and outlines can be recoloured
+const VECTOR_TYPES = ["rect", "circle", "ellipse", "triangle", "polygon", "polyline", "path", "line"]
+const CROP_MARK_OFFSET = 0.0625
+const CROP_MARK_LENGTH = 0.25
+const JOB_INFO_HEIGHT = 0.35
+// Font files for converting text to outlines in SVG export, by face (opentype.js reads WOFF,
+// not WOFF2). Arial and Helvetica are outlined with Arimo and Times New Roman with Tinos, their
+// metric-compatible stand-ins, so every letter keeps its place.
+const INTER_URL = "https://unpkg.com/@fontsource/inter@5.2.8/files/inter-latin"
+const ARIMO_URL = "https://unpkg.com/@fontsource/arimo@5.0.12/files/arimo-latin"
+const TINOS_URL = "https://unpkg.com/@fontsource/tinos@5.0.12/files/tinos-latin"
+const OUTLINE_FONT_URLS = {
+  Inter: {
+    normal: `${INTER_URL}-400-normal.woff`,
+    bold: `${INTER_URL}-700-normal.woff`,
+    italic: `${INTER_URL}-400-italic.woff`,
+    "bold italic": `${INTER_URL}-700-italic.woff`,
+  },
+  Arial: {
+    normal: `${ARIMO_URL}-400-normal.woff`,
+    bold: `${ARIMO_URL}-700-normal.woff`,
+    italic: `${ARIMO_URL}-400-italic.woff`,
+    "bold italic": `${ARIMO_URL}-700-italic.woff`,
+  },
+  "Times New Roman": {
+    normal: `${TINOS_URL}-400-normal.woff`,
+    bold: `${TINOS_URL}-700-normal.woff`,
+    italic: `${TINOS_URL}-400-italic.woff`,
+    "bold italic": `${TINOS_URL}-700-italic.woff`,
+  },
+}
+OUTLINE_FONT_URLS.Helvetica = OUTLINE_FONT_URLS.Arial
+const HISTORY_ACTION_LABELS = {
+  drag: "Move",
+  scale: "Scale",
+  scaleX: "Scale",
+  scaleY: "Scale",
+  rotate: "Rotate",
+  skewX: "Skew",
+  skewY: "Skew",
+}
+// Mug surface in the live preview vs. glossy ceramic under the mockup environment map
+const PREVIEW_FINISH = { metalness: 0.3, roughness: 0.4, clearcoat: 0, clearcoatRoughness: 0 }
+const CERAMIC_FINISH = { metalness: 0, roughness: 0.22, clearcoat: 1, clearcoatRoughness: 0.06 }
+const MOCKUP_BACKGROUNDS = {
+  studio: { name: "Studio grey", color: "#eef1f5" },
+  white: { name: "White", color: "#ffffff" },
+  warm: { name: "Warm linen", color: "#f3ebe0" },
+  slate: { name: "Slate", color: "#334155" },
+}
+// Point of the print (u across the strip) that faces the camera; 0 is the seam under the handle
+const MOCKUP_VIEWS = { front: 0.5, back: 0, handle: 0.25 }
+const WEBM_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+// Contextual text toolbar: history labels per property, and the on/off values of its toggles
+const TEXT_PROP_LABELS = {
+  text: "Edit text",
+  fontFamily: "Change font",
+  fontSize: "Change font size",
+  fontWeight: "Toggle bold",
+  fontStyle: "Toggle italic",
+  underline: "Toggle underline",
+  textAlign: "Align text",
+  fill: "Change text colour",
+  stroke: "Change outline colour",
+  strokeWidth: "Change outline width",
+  charSpacing: "Change letter spacing",
+  lineHeight: "Change line height",
+  radius: "Change arc radius",
+  reverse: "Flip arc",
+  gradientColor: "Change gradient colour",
+  shadowColor: "Change shadow colour",
+  outerStroke: "Change outer outline colour",
+  outerStrokeWidth: "Change outer outline width",
+}
+const TEXT_TOGGLES = {
+  fontWeight: ["bold", "normal"],
+  fontStyle: ["italic", "normal"],
+  underline: [true, false],
+  reverse: [true, false],
+}
+const TEXT_SHADOW = { color: "rgba(0, 0, 0, 0.35)", blur: 8, offsetX: 4, offsetY: 4 }
+// Image adjustment settings; the fabric filters of an image are rebuilt from these
+const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  hue: 0,
+  sharpness: 0,
+  grayscale: false,
+  sepia: false,
+  invert: false,
+  duotone: false,
+  duotoneDark: "#1e3a8a",
+  duotoneLight: "#fde68a",
+  colorKey: false,
+  colorKeyColor: "#ffffff",
+  colorKeyTolerance: 15,
+}
+// Custom object properties that must survive canvas.toJSON()/loadFromJSON()
+const DESIGN_PROPS = [
+  "name",
+  "placeholder",
+  "dataField",
+  "patternImage",
+  "patternSettings",
+  "backgroundSettings",
+  "adjustments",
+  "outerStroke",
+  "outerStrokeWidth",
+  "selectable",
+  "evented",
+  "hasControls",
+  "lockScalingX",
+  "lockScalingY",
+  "lockRotation",
+  "lockMovementX",
+  "lockMovementY",
+  "layoutLocked",
+]
+// Editor state that belongs to the active surface, see activateSurface()
+const SURFACE_STATE = [
+  "canvas",
+  "profileId",
+  "profile",
+  "safeRect",
+  "bleedRect",
+  "handleZones",
+  "seamLines",
+  "handleLabels",
+  "selectionDpi",
+]
+const EMPTY_CANVAS = { objects: [], background: "white" }
+
+class MugDesigner {
+  constructor() {
+    this.meshes = {}
+    this.mug = null
+    this.models = new Map()
+    this.mugLoadId = 0
+    this.productId = DEFAULT_PRODUCT
+    this.product = PRODUCTS[DEFAULT_PRODUCT]
+    this.history = new DesignHistory({ onChange: () => this.updateHistoryPanel() })
+    this.isRestoring = false
+    this.restoreTask = Promise.resolve()
+    this.lastCanvasState = null
+    this.patternMovable = false
+    this.patternImages = new Map()
+    this.patternItems = new Map()
+    this.customPatterns = []
+    this.patternDragStart = null
+    this.wrapMode = false
+    this.showHandleZone = true
+    this.showPlaceholders = true
+    this.templatePreviews = new Map()
+    this.batch = { columns: [], rows: [], photos: new Map() }
+    this.batchRow = null
+    this.batchOriginals = new Map()
+    this.batchImages = new Map()
+    this.batchTask = Promise.resolve()
+    this.surfaces = {}
+    this.surfaceId = "outside"
+    this.mugParts = createMugParts()
+    this.activeMugPart = "inside"
+    this.mockupMode = false
+    this.mockupBackground = "studio"
+    this.environmentMap = null
+    this.glitterMap = null
+    this.turntable = false
+    this.turntableSpeed = 45 // degrees per second, for the live spin and recordings alike
+    this.isCapturing = false
+    this.clock = new THREE.Clock()
+    this.projectStore = new ProjectStore()
+    this.currentProject = null
+    this.outlineFonts = new Map()
+    this.fontLibrary = new FontLibrary()
+    this.layerDpiBadges = new WeakMap()
+    this.layerRows = new WeakMap()
+    this.draggedLayer = null
+    this.layerThumbnailFrame = null
+    this.smartGuidesEnabled = true
+    this.smartGuides = []
+    this.guidesDrawn = false
+    this.init()
+    this.setupScene()
+    this.setupLights()
+    this.setupMockup()
+    this.setupControls()
+    this.setupFabric()
+    this.setupEventListeners()
+    this.setupUI()
+    this.history.reset("New design", this.serializeDesign())
+    this.loadMug()
+    this.animate()
+  }
+
+  debounce(func, wait) {
+    let timeout
+    return (...args) => {
+      clearTimeout(timeout)
+      timeout = setTimeout(() => func.apply(this, args), wait)
+    }
+  }
+
+  init() {
+    this.container = document.getElementById("modelViewer")
+    this.scene = new THREE.Scene()
+    this.scene.background = new THREE.Color(0xffffff)
+
+    this.camera = new THREE.PerspectiveCamera(45, this.container.clientWidth / this.container.clientHeight, 0.1, 1000)
+    this.camera.position.set(0, 0, 10)
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true })
+    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight)
+    this.renderer.setPixelRatio(window.devicePixelRatio)
+    this.container.appendChild(this.renderer.domElement)
+  }
+
+  setupScene() {
+    this.scene.background = new THREE.Color(0xffffff)
+  }
+
+  setupLights() {
+    this.lights = new THREE.Group()
+    this.scene.add(this.lights)
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7)
+    this.lights.add(ambientLight)
+
+    const mainLight = new THREE.DirectionalLight(0xffffff, 1)
+    mainLight.position.set(10, 10, 10)
+    this.lights.add(mainLight)
+
+    const fillLight = new THREE.DirectionalLight(0xffffff, 0.5)
+    fillLight.position.set(-10, 0, -10)
+    this.lights.add(fillLight)
+
+    const topLight = new THREE.DirectionalLight(0xffffff, 0.3)
+    topLight.position.set(0, 10, 0)
+    this.lights.add(topLight)
+
+    const frontLight = new THREE.DirectionalLight(0xffffff, 0.8)
+    frontLight.position.set(0, 0, 20)
+    this.lights.add(frontLight)
+  }
+
+  // Contact shadow under the mug; it and the environment map are only shown in mockup mode
+  setupMockup() {
+    const size = 256
+    const shadowCanvas = document.createElement("canvas")
+    shadowCanvas.width = size
+    shadowCanvas.height = size
+    const ctx = shadowCanvas.getContext("2d")
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2)
+    gradient.addColorStop(0, "rgba(0, 0, 0, 0.45)")
+    gradient.addColorStop(0.5, "rgba(0, 0, 0, 0.18)")
+    gradient.addColorStop(1, "rgba(0, 0, 0, 0)")
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, size, size)
+
+    this.contactShadow = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(shadowCanvas), transparent: true, depthWrite: false }),
+    )
+    this.contactShadow.rotation.x = -Math.PI / 2
+    this.contactShadow.visible = false
+    this.scene.add(this.contactShadow)
+  }
+
+  getEnvironmentMap() {
+    if (!this.environmentMap) {
+      const pmrem = new THREE.PMREMGenerator(this.renderer)
+      this.environmentMap = pmrem.fromScene(new RoomEnvironment(), 0.04).texture
+      pmrem.dispose()
+    }
+    return this.environmentMap
+  }
+
+  // Tiny flakes with random tilts, tiled finely so they glint as the mug turns
+  getGlitterMap() {
+    if (!this.glitterMap) {
+      const size = 128
+      const canvas = document.createElement("canvas")
+      canvas.width = size
+      canvas.height = size
+      const ctx = canvas.getContext("2d")
+      const image = ctx.createImageData(size, size)
+      for (let i = 0; i < image.data.length; i += 4) {
+        const normal = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, 0.6).normalize()
+        image.data[i] = (normal.x * 0.5 + 0.5) * 255
+        image.data[i + 1] = (normal.y * 0.5 + 0.5) * 255
+        image.data[i + 2] = (normal.z * 0.5 + 0.5) * 255
+        image.data[i + 3] = 255
+      }
+      ctx.putImageData(image, 0, 0)
+      this.glitterMap = new THREE.CanvasTexture(canvas)
+      this.glitterMap.wrapS = THREE.RepeatWrapping
+      this.glitterMap.wrapT = THREE.RepeatWrapping
+      this.glitterMap.repeat.set(16, 16)
+    }
+    return this.glitterMap
+  }
+
+  setMockupMode(enabled) {
+    this.mockupMode = enabled
+    this.scene.environment = enabled ? this.getEnvironmentMap() : null
+    this.lights.visible = !enabled
+    this.contactShadow.visible = enabled
+    this.updateMugMaterials()
+    this.setMockupBackground(this.mockupBackground)
+    document.getElementById("mockupToggle").classList.toggle("active", enabled)
+    document.getElementById("mockupBackground").hidden = !enabled
+  }
+
+  setMockupBackground(id) {
+    this.mockupBackground = id
+    const color = this.mockupMode ? MOCKUP_BACKGROUNDS[id].color : 0xffffff
+    this.scene.background = new THREE.Color(color)
+  }
+
+  // Parts without a chosen finish follow the preview or mockup default
+  updateMugMaterials() {
+    const defaultFinish = this.mockupMode ? CERAMIC_FINISH : PREVIEW_FINISH
+    Object.values(this.meshes).forEach((mesh) => {
+      mesh.material.setValues(defaultFinish)
+      mesh.material.needsUpdate = true
+    })
+    Object.entries(MUG_PARTS).forEach(([part, { role }]) => {
+      const mesh = this.getMesh(role)
+      if (!mesh) return
+      const { color, finish } = this.mugParts[part]
+      const preset = MUG_FINISHES[finish]
+      if (color) mesh.material.color.setStyle(color)
+      else mesh.material.color.copy(mesh.userData.defaultColor)
+      mesh.material.setValues(preset?.material || defaultFinish)
+      mesh.material.envMap = preset?.reflective ? this.getEnvironmentMap() : null
+      mesh.material.normalMap = preset?.sparkle ? this.getGlitterMap() : null
+    })
+  }
+
+  // Horizontal direction from the mug's axis to the point of the print at u
+  getSurfaceDirection(u) {
+    const outerMug = this.getMesh("printable")
+    const { position, uv } = outerMug.geometry.attributes
+    let best = 0
+    let bestDistance = Infinity
+    for (let i = 0; i < uv.count; i++) {
+      const distance = Math.abs(uv.getX(i) - u) + Math.abs(uv.getY(i) - 0.5)
+      if (distance < bestDistance) {
+        best = i
+        bestDistance = distance
+      }
+    }
+    const point = new THREE.Vector3().fromBufferAttribute(position, best).applyMatrix4(outerMug.matrixWorld)
+    point.y = 0
+    return point.normalize()
+  }
+
+  // Places a camera for a named mockup view at the current zoom and the product's default elevation
+  setMockupCamera(camera, view) {
+    camera.aspect = 1
+    if (view in MOCKUP_VIEWS) {
+      const distance = this.camera.position.distanceTo(this.controls.target)
+      const [x, y, z] = this.product.camera.position
+      const elevation = Math.atan2(y, Math.hypot(x, z))
+      camera.position.copy(this.getSurfaceDirection(MOCKUP_VIEWS[view])).multiplyScalar(distance * Math.cos(elevation))
+      camera.position.y = distance * Math.sin(elevation)
+      camera.lookAt(this.controls.target)
+    }
+    camera.updateProjectionMatrix()
+  }
+
+  // Renders each view square at the requested size by briefly resizing the live renderer,
+  // which keeps the environment map and textures it already holds on the GPU
+  async exportMockups({ size, views, transparent }) {
+    await this.updateMugTexture()
+    const width = this.container.clientWidth
+    const height = this.container.clientHeight
+    const pixelRatio = this.renderer.getPixelRatio()
+    const background = this.scene.background
+    const dimension = Math.min(size, this.renderer.capabilities.maxTextureSize)
+    const camera = this.camera.clone()
+    const images = []
+
+    try {
+      if (transparent) this.scene.background = null
+      this.renderer.setPixelRatio(1)
+      this.renderer.setSize(dimension, dimension, false)
+      views.forEach((view) => {
+        this.setMockupCamera(camera, view)
+        this.renderer.render(this.scene, camera)
+        images.push({ view, dataURL: this.renderer.domElement.toDataURL("image/png") })
+      })
+    } finally {
+      this.scene.background = background
+      this.renderer.setPixelRatio(pixelRatio)
+      this.renderer.setSize(width, height)
+    }
+
+    const baseName = this.getExportBaseName()
+    images.forEach(({ view, dataURL }) => {
+      this.downloadBlob(new Blob([dataURLToBytes(dataURL)], { type: "image/png" }), `${baseName}_mockup_${view}.png`)
+    })
+  }
+
+  setTurntable(enabled) {
+    this.turntable = enabled
+    document.getElementById("turntableToggle").classList.toggle("active", enabled)
+  }
+
+  // Steps the mug through a turntable spin frame by frame at a square size. The live
+  // preview stops rendering meanwhile and the viewer is covered by a progress overlay.
+  // A full turn is one revolution at about the chosen speed, snapped to a whole number of
+  // frames so the last one leads straight back into the first and the clip loops cleanly.
+  async captureTurntable({ duration, fullTurn, size, fps, speed }, onFrame) {
+    const width = this.container.clientWidth
+    const height = this.container.clientHeight
+    const pixelRatio = this.renderer.getPixelRatio()
+    const startRotation = this.mug.rotation.y
+    const frameCount = Math.round((fullTurn ? 360 / speed : duration) * fps)
+    const step = fullTurn ? (Math.PI * 2) / frameCount : THREE.MathUtils.degToRad(speed) / fps
+    const camera = this.camera.clone()
+    camera.aspect = 1
+    camera.updateProjectionMatrix()
+
+    const overlay = document.getElementById("captureOverlay")
+    const progress = document.getElementById("captureProgress")
+    this.isCapturing = true
+    overlay.hidden = false
+
+    try {
+      this.renderer.setPixelRatio(1)
+      this.renderer.setSize(size, size, false)
+      for (let frame = 0; frame < frameCount; frame++) {
+        this.mug.rotation.y = startRotation + step * frame
+        this.renderer.render(this.scene, camera)
+        await onFrame(this.renderer.domElement, frame)
+        progress.textContent = `Recording… ${Math.round(((frame + 1) / frameCount) * 100)}%`
+      }
+    } finally {
+      this.mug.rotation.y = startRotation
+      this.renderer.setPixelRatio(pixelRatio)
+      this.renderer.setSize(width, height)
+      this.isCapturing = false
+      overlay.hidden = true
+      progress.textContent = "Recording…"
+    }
+  }
+
+  // MediaRecorder timestamps frames by wall clock, so frames are paced in real time
+  async recordTurntableWebm(options) {
+    const mimeType = WEBM_MIME_TYPES.find((type) => window.MediaRecorder?.isTypeSupported(type))
+    if (!mimeType) throw new Error("WebM recording is not supported in this browser")
+
+    const stream = this.renderer.domElement.captureStream(0)
+    const [track] = stream.getVideoTracks()
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 })
+    const chunks = []
+    recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
+    const stopped = new Promise((resolve) => (recorder.onstop = resolve))
+
+    recorder.start()
+    try {
+      await this.captureTurntable(options, () => {
+        track.requestFrame()
+        return new Promise((resolve) => setTimeout(resolve, 1000 / options.fps))
+      })
+    } finally {
+      recorder.stop()
+      track.stop()
+    }
+    await stopped
+    return new Blob(chunks, { type: "video/webm" })
+  }
+
+  async recordTurntableGif(options) {
+    const { GIFEncoder, quantize, applyPalette } = await import("gifenc")
+    const frameCanvas = document.createElement("canvas")
+    frameCanvas.width = options.size
+    frameCanvas.height = options.size
+    const ctx = frameCanvas.getContext("2d", { willReadFrequently: true })
+    const gif = GIFEncoder()
+    const delay = Math.round(1000 / options.fps)
+
+    await this.captureTurntable(options, async (source) => {
+      ctx.drawImage(source, 0, 0)
+      const { data } = ctx.getImageData(0, 0, options.size, options.size)
+      const palette = quantize(data, 256)
+      gif.writeFrame(applyPalette(data, palette), options.size, options.size, { palette, delay })
+      // Let the progress overlay repaint between frames
+      await new Promise((resolve) => setTimeout(resolve))
+    })
+    gif.finish()
+    return new Blob([gif.bytes()], { type: "image/gif" })
+  }
+
+  async exportTurntable({ format, ...options }) {
+    if (!this.mug || this.isCapturing) return
+    await this.updateMugTexture()
+    const blob = format === "gif" ? await this.recordTurntableGif(options) : await this.recordTurntableWebm(options)
+    this.downloadBlob(blob, `${this.getExportBaseName()}_turntable.${format}`)
+  }
+
+  setupControls() {
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
+    this.controls.enableDamping = true
+    this.controls.dampingFactor = 0.05
+    this.controls.minDistance = 20
+    this.controls.maxDistance = 80
+    this.controls.target.set(0, 0, 0)
+    this.controls.minPolarAngle = Math.PI / 3
+    this.controls.maxPolarAngle = Math.PI / 1.7
+    this.controls.enablePan = false
+  }
+
+  setupFabric() {
+    registerTextEffects()
+    const wrapper = document.querySelector(".canvas-container .canvas-wrapper")
+    Object.keys(SURFACES).forEach((id) => {
+      let element = document.getElementById("designCanvas")
+      if (id !== "outside") {
+        element = document.createElement("canvas")
+        wrapper.appendChild(element)
+      }
+      this.surfaces[id] = this.createSurface(id, element)
+      this.withSurface(id, () => {
+        this.restoreGuides()
+        this.layoutGuides()
+        this.setupWrapRendering()
+      })
+      if (id !== "outside") this.surfaces[id].canvas.wrapperEl.style.display = "none"
+    })
+    this.activateSurface("outside")
+
+    // Enhanced fabric controls
+    fabric.Object.prototype.transparentCorners = false
+    fabric.Object.prototype.cornerStyle = "circle"
+    fabric.Object.prototype.cornerColor = "rgba(37, 99, 235, 0.9)"
+    fabric.Object.prototype.borderColor = "rgba(37, 99, 235, 0.6)"
+    fabric.Object.prototype.cornerSize = 10
+    fabric.Object.prototype.padding = 5
+
+    // Custom controls
+    fabric.Object.prototype.controls.deleteControl = new fabric.Control({
+      x: 0.5,
+      y: -0.5,
+      offsetX: 16,
+      offsetY: -16,
+      cursorStyle: "pointer",
+      mouseUpHandler: (eventData, transform) => {
+        this.deleteObject(transform.target)
+        return true
+      },
+      render: (ctx, left, top) => {
+        ctx.save()
+        ctx.translate(left, top)
+        ctx.beginPath()
+        ctx.arc(0, 0, 10, 0, Math.PI * 2, false)
+        ctx.fillStyle = "#ef4444"
+        ctx.fill()
+        ctx.strokeStyle = "#fff"
+        ctx.lineWidth = 2
+        ctx.stroke()
+        ctx.fillStyle = "#fff"
+        ctx.font = "12px Inter"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillText("✕", 0, 1)
+        ctx.restore()
+      },
+    })
+
+    fabric.Object.prototype.controls.cloneControl = new fabric.Control({
+      x: -0.5,
+      y: -0.5,
+      offsetX: -16,
+      offsetY: -16,
+      cursorStyle: "copy",
+      mouseUpHandler: (eventData, transform) => {
+        if (transform.target) this.duplicateObject(transform.target)
+        return true
+      },
+      render: (ctx, left, top) => {
+        ctx.save()
+        ctx.translate(left, top)
+        ctx.beginPath()
+        ctx.arc(0, 0, 10, 0, Math.PI * 2, false)
+        ctx.fillStyle = "#10b981"
+        ctx.fill()
+        ctx.strokeStyle = "#fff"
+        ctx.lineWidth = 2
+        ctx.stroke()
+        ctx.fillStyle = "#fff"
+        ctx.font = "12px Inter"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillText("+", 0, 1)
+        ctx.restore()
+      },
+    })
+
+    this.updateLayersPanel()
+  }
+
+  // A design canvas with its own print profile and guides. Surfaces other than the outside
+  // take their profile from the product, or the first profile made for them.
+  createSurface(id, element) {
+    const profileId =
+      id === "outside"
+        ? this.product.profile || DEFAULT_PROFILE
+        : this.product.surfaces?.[id]?.profile ||
+          Object.keys(PRINT_PROFILES).find((key) => PRINT_PROFILES[key].surface === id)
+    const profile = PRINT_PROFILES[profileId]
+    const canvas = new fabric.Canvas(element, {
+      backgroundColor: "white",
+      ...this.fitCanvasSize(profile.widthMm / profile.heightMm, DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT),
+      preserveObjectStacking: true,
+    })
+
+    // Guide geometry comes from the print profile, see layoutGuides()
+    const safeRect = new fabric.Rect({
+      fill: "transparent",
+      stroke: "#ef4444",
+      strokeWidth: 0.4,
+      strokeDashArray: [15, 10],
+      selectable: false,
+      evented: false,
+      excludeFromLayers: true,
+      excludeFromExport: true,
+    })
+    const bleedRect = new fabric.Rect({
+      fill: "transparent",
+      stroke: "#f97316",
+      strokeDashArray: [5, 5],
+      selectable: false,
+      evented: false,
+      excludeFromLayers: true,
+      excludeFromExport: true,
+    })
+
+    // Handle zone and seam overlay: the strip's left and right ends meet under the handle
+    const overlayProps = {
+      selectable: false,
+      evented: false,
+      excludeFromLayers: true,
+      excludeFromExport: true,
+      visible: this.showHandleZone && profile.wraps !== false,
+    }
+    const hatch = new fabric.Pattern({ source: this.createHatchTile(), repeat: "repeat" })
+    const handleZones = [0, 1].map(() => new fabric.Rect({ ...overlayProps, fill: hatch, strokeWidth: 0 }))
+    const seamLines = [0, 1].map(
+      () =>
+        new fabric.Line([0, 0, 0, 0], { ...overlayProps, stroke: "#8b5cf6", strokeWidth: 2, strokeDashArray: [6, 4] }),
+    )
+    const handleLabels = [0, 1].map(
+      () =>
+        new fabric.Text("HANDLE · SEAM", {
+          ...overlayProps,
+          fontSize: 10,
+          fontFamily: "Inter",
+          fontWeight: 600,
+          fill: "#7c3aed",
+          angle: -90,
+          originX: "center",
+          originY: "center",
+        }),
+    )
+
+    // Live effective-DPI readout under the selected image
+    const selectionDpi = document.createElement("div")
+    selectionDpi.className = "selection-dpi"
+    selectionDpi.hidden = true
+    canvas.wrapperEl.appendChild(selectionDpi)
+
+    return { id, canvas, profileId, profile, safeRect, bleedRect, handleZones, seamLines, handleLabels, selectionDpi }
+  }
+
+  // Points this.canvas, the print profile and the guides at one surface, so everything that
+  // works on "the canvas" works on that surface
+  activateSurface(id) {
+    this.surfaceId = id
+    SURFACE_STATE.forEach((key) => (this[key] = this.surfaces[id][key]))
+  }
+
+  // Runs fn with another surface active. fn must not be async: events and texture updates
+  // that ran while it waited would act on the wrong surface.
+  withSurface(id, fn) {
+    const previous = this.surfaceId
+    this.activateSurface(id)
+    try {
+      return fn()
+    } finally {
+      this.activateSurface(previous)
+    }
+  }
+
+  isSurfaceAvailable(id) {
+    return id === "outside" || Boolean(this.product.surfaces?.[id])
+  }
+
+  getSurfaceMesh(id) {
+    return this.isSurfaceAvailable(id) ? this.getMesh(SURFACES[id].role) : null
+  }
+
+  surfaceHasDesign(id) {
+    return this.surfaces[id].canvas.getObjects().some((obj) => !obj.excludeFromExport)
+  }
+
+  // Surfaces that go to print: the outside, plus any other surface with a design on it
+  getPrintSurfaces() {
+    return Object.keys(this.surfaces).filter(
+      (id) => id === "outside" || (this.isSurfaceAvailable(id) && this.surfaceHasDesign(id)),
+    )
+  }
+
+  // Switches the workspace to another surface; one the product lacks falls back to the outside
+  showSurface(id) {
+    if (!this.isSurfaceAvailable(id)) id = "outside"
+    this.canvas.discardActiveObject()
+    this.canvas.requestRenderAll()
+    this.activateSurface(id)
+    Object.values(this.surfaces).forEach(({ id: surfaceId, canvas }) => {
+      canvas.wrapperEl.style.display = surfaceId === id ? "" : "none"
+    })
+    this.updateSurfaceTabs()
+    document.getElementById("profileSelect").hidden = id !== "outside"
+    this.setHandleZoneVisible(this.showHandleZone)
+    this.canvas.renderAll()
+    this.updateLayersPanel()
+    this.updateSelectionPanels()
+    this.updatePatternPanel()
+    this.updateBackgroundPanel()
+  }
+
+  setupSurfaceTabs() {
+    const tabs = document.getElementById("surfaceTabs")
+    Object.entries(SURFACES).forEach(([id, surface]) => {
+      const tab = document.createElement("button")
+      tab.type = "button"
+      tab.className = "surface-tab"
+      tab.dataset.surface = id
+      tab.title = `Design the ${surface.name.toLowerCase()}`
+      tab.innerHTML = `<i class="fas ${surface.icon}"></i> ${surface.name}`
+      tab.addEventListener("click", () => this.showSurface(id))
+      tabs.appendChild(tab)
+    })
+    this.updateSurfaceTabs()
+  }
+
+  updateSurfaceTabs() {
+    document.querySelectorAll("#surfaceTabs .surface-tab").forEach((tab) => {
+      tab.hidden = !this.isSurfaceAvailable(tab.dataset.surface)
+      tab.classList.toggle("active", tab.dataset.surface === this.surfaceId)
+    })
+  }
+
+  setupUI() {
+    // Panel management
+    const panels = [
+      "textPanel",
+      "imagePanel",
+      "shapesPanel",
+      "adjustmentsPanel",
+      "arrangePanel",
+      "patternsPanel",
+      "backgroundPanel",
+      "colorsPanel",
+      "historyPanel",
+      "exportPanel",
+    ]
+    const toggles = [
+      "addTextBtn",
+      "addImageBtn",
+      "shapesToggle",
+      "adjustmentsToggle",
+      "arrangeToggle",
+      "patternsToggle",
+      "backgroundToggle",
+      "colorsToggle",
+      "historyToggle",
+      "exportBtn",
+    ]
+
+    toggles.forEach((toggleId, index) => {
+      const toggle = document.getElementById(toggleId)
+      const panel = document.getElementById(panels[index])
+
+      toggle.addEventListener("click", () => {
+        // Close all other panels
+        panels.forEach((panelId, i) => {
+          const p = document.getElementById(panelId)
+          const t = document.getElementById(toggles[i])
+          if (i !== index) {
+            p.classList.remove("active")
+            t.classList.remove("active")
+          }
+        })
+
+        // Toggle current panel
+        panel.classList.toggle("active")
+        toggle.classList.toggle("active")
+      })
+    })
+
+    // Close panel buttons
+    document.querySelectorAll(".panel-close").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const panel = e.target.closest(".sidebar-panel")
+        panel.classList.remove("active")
+
+        // Remove active state from corresponding toggle
+        const panelId = panel.id
+        const index = panels.indexOf(panelId)
+        if (index !== -1) {
+          document.getElementById(toggles[index]).classList.remove("active")
+        }
+      })
+    })
+
+    // Upload area drag and drop
+    const uploadArea = document.getElementById("uploadArea")
+    const imageInput = document.getElementById("imageInput")
+
+    uploadArea.addEventListener("click", () => imageInput.click())
+
+    uploadArea.addEventListener("dragover", (e) => {
+      e.preventDefault()
+      uploadArea.style.borderColor = "#2563eb"
+      uploadArea.style.background = "#dbeafe"
+    })
+
+    uploadArea.addEventListener("dragleave", () => {
+      uploadArea.style.borderColor = "#cbd5e1"
+      uploadArea.style.background = "transparent"
+    })
+
+    uploadArea.addEventListener("drop", async (e) => {
+      e.preventDefault()
+      uploadArea.style.borderColor = "#cbd5e1"
+      uploadArea.style.background = "transparent"
+
+      const files = e.dataTransfer.files
+      if (files.length > 0) {
+        await this.handleImageUpload(files[0])
+      }
+    })
+  }
+
+  // Every way of adding a photo or SVG comes through here, so a file that cannot be read
+  // gets the same message wherever it was dropped or picked
+  async handleImageUpload(file, position = null) {
+    try {
+      // A photo goes into the image placeholder it is dropped on, or the selected one
+      const slot = position ? this.findImageSlotAt(position) : this.getSelectedImageSlot()
+      if (slot && !this.isSvgFile(file) && file?.type.startsWith("image/")) {
+        await this.fillImageSlot(slot, file)
+      } else if (this.isSvgFile(file)) {
+        await this.handleSvgUpload(file, position)
+      } else if (file && file.type.startsWith("image/")) {
+        await this.addImageFile(file, position)
+      }
+    } catch (error) {
+      console.error("Error loading image:", error)
+      this.showModal("⚠ This image could not be loaded.")
+    }
+  }
+
+  async addImageFile(file, position = null) {
+    // Embed the file as a data URL so it survives saving the design
+    const img = new fabric.Image(await this.loadImageElement(await this.readFileAsDataURL(file)))
+    const scale = Math.min(0.3, (this.canvas.width - 40) / img.width, (this.canvas.height - 40) / img.height)
+
+    img.set({
+      left: position?.x ?? this.canvas.width / 2,
+      top: position?.y ?? this.canvas.height / 2,
+      originX: "center",
+      originY: "center",
+      scaleX: scale,
+      scaleY: scale,
+    })
+
+    img.clipPath = this.createSafeClip()
+    this.setImageAdjustments(img, {
+      ...DEFAULT_ADJUSTMENTS,
+      grayscale: Boolean(document.getElementById("grayscaleFilter")?.checked),
+    })
+
+    this.canvas.add(img)
+    this.canvas.setActiveObject(img)
+    this.checkBounds(img)
+    img.setCoords()
+    this.canvas.renderAll()
+    this.saveHistory("Add image")
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+
+    const dpi = this.getEffectiveDpi(img)
+    if (dpi < LOW_DPI) {
+      this.showModal(`⚠ This image is only ${dpi} DPI at this size and may print blurry.`)
+    }
+
+    // Close image panel
+    document.getElementById("imagePanel").classList.remove("active")
+    document.getElementById("addImageBtn").classList.remove("active")
+  }
+
+  getSelectedImageSlot() {
+    const obj = this.canvas.getActiveObject()
+    return obj?.placeholder === "image" ? obj : null
+  }
+
+  findImageSlotAt(point) {
+    return this.canvas
+      .getObjects()
+      .filter((obj) => obj.placeholder === "image" && obj.visible)
+      .reverse()
+      .find((obj) => (obj.clipPath || obj).containsPoint(point, null, true, true))
+  }
+
+  // The photo is scaled to cover the placeholder's frame and masked by it, taking the
+  // placeholder's place in the layout. The frame stays on as the mask, so the photo can be
+  // swapped again.
+  async fillImageSlot(slot, file) {
+    const imgURL = await this.readFileAsDataURL(file)
+    const [img, frame] = await Promise.all([
+      this.loadImageElement(imgURL).then((element) => new fabric.Image(element)),
+      new Promise((resolve) => (slot.clipPath || slot).clone(resolve)),
+    ])
+    frame.set({ absolutePositioned: true, stroke: null })
+    const bounds = frame.getBoundingRect(true, true)
+    const scale = Math.max(bounds.width / img.width, bounds.height / img.height)
+
+    img.set({
+      ...PLACEHOLDER_LOCKS,
+      name: slot.name,
+      placeholder: "image",
+      left: bounds.left + bounds.width / 2,
+      top: bounds.top + bounds.height / 2,
+      originX: "center",
+      originY: "center",
+      scaleX: scale,
+      scaleY: scale,
+      visible: slot.visible,
+    })
+    img.clipPath = frame
+    this.setImageAdjustments(img, { ...DEFAULT_ADJUSTMENTS })
+
+    const index = this.canvas.getObjects().indexOf(slot)
+    this.canvas.remove(slot)
+    this.canvas.insertAt(img, index)
+    this.canvas.setActiveObject(img)
+    this.canvas.renderAll()
+    this.saveHistory("Add photo")
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+
+    const dpi = this.getEffectiveDpi(img)
+    if (dpi < LOW_DPI) {
+      this.showModal(`⚠ This image is only ${dpi} DPI at this size and may print blurry.`)
+    }
+  }
+
+  isSvgFile(file) {
+    return Boolean(file) && (file.type === "image/svg+xml" || /\.svg$/i.test(file.name))
+  }
+
+  // SVGs stay vector objects instead of being rasterised, so they print sharp at any DPI
+  async handleSvgUpload(file, position = null) {
+    const markup = await file.text()
+    const artwork = await new Promise((resolve) => {
+      fabric.loadSVGFromString(markup, (objects, options) => {
+        resolve(objects?.length ? fabric.util.groupSVGElements(objects, options) : null)
+      })
+    })
+    if (!artwork) {
+      this.showModal("⚠ This SVG has nothing that can be placed on the mug.")
+      return
+    }
+
+    const size = this.getVectorSize()
+    artwork.scale(Math.min((size * 1.6) / artwork.width, size / artwork.height))
+    this.addVectorObject(artwork, file.name.replace(/\.svg$/i, ""), position)
+    this.saveHistory("Add SVG")
+
+    // Close image panel
+    document.getElementById("imagePanel").classList.remove("active")
+    document.getElementById("addImageBtn").classList.remove("active")
+  }
+
+  addText(text, position = null) {
+    const fontStyle = document.getElementById("fontStyleSelect")?.value || "normal"
+    const fabricText = new fabric.IText(text, {
+      left: position?.x ?? this.canvas.width / 2,
+      top: position?.y ?? this.canvas.height / 2,
+      fontSize: 40,
+      fill: document.getElementById("colorPicker")?.value || "#000000",
+      fontFamily: document.getElementById("fontSelect").value,
+      originX: "center",
+      originY: "center",
+      fontWeight: fontStyle.includes("bold") ? "bold" : "normal",
+      fontStyle: fontStyle.includes("italic") ? "italic" : "normal",
+      stroke: "#000000",
+      strokeWidth: fontStyle.includes("outline") ? 1 : 0,
+    })
+    this.canvas.add(fabricText)
+    this.canvas.setActiveObject(fabricText)
+    this.checkBounds(fabricText)
+    fabricText.setCoords()
+    this.canvas.renderAll()
+    this.saveHistory("Add text")
+    return fabricText
+  }
+
+  // Shapes, clipart and SVGs go in the middle of the safe zone unless dropped somewhere,
+  // and are clipped to it like images
+  addVectorObject(obj, name, position = null) {
+    const safe = this.getSafeZone()
+    obj.set({
+      name,
+      left: position?.x ?? safe.left + safe.width / 2,
+      top: position?.y ?? safe.top + safe.height / 2,
+      originX: "center",
+      originY: "center",
+    })
+    obj.clipPath = this.createSafeClip()
+    this.canvas.add(obj)
+    this.canvas.setActiveObject(obj)
+    obj.setCoords()
+    this.canvas.renderAll()
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+    return obj
+  }
+
+  getVectorSize() {
+    const safe = this.getSafeZone()
+    return Math.min(safe.width, safe.height) * 0.5
+  }
+
+  addShape(shapeId) {
+    const shape = SHAPES[shapeId]
+    this.addVectorObject(shape.create({ size: this.getVectorSize(), color: DEFAULT_SHAPE_COLOR }), shape.name)
+    this.saveHistory("Add shape")
+  }
+
+  addClipart(item) {
+    return new Promise((resolve) => {
+      fabric.loadSVGFromURL(item.file, (objects, options) => {
+        if (!objects?.length) {
+          this.showModal(`⚠ ${item.name} could not be loaded.`)
+          resolve(null)
+          return
+        }
+        const artwork = fabric.util.groupSVGElements(objects, options)
+        const size = this.getVectorSize()
+        artwork.scale(Math.min((size * 1.6) / artwork.width, size / artwork.height))
+        this.addVectorObject(artwork, item.name)
+        this.saveHistory("Add clipart")
+        resolve(artwork)
+      })
+    })
+  }
+
+  // A shape, clipart or SVG, or a group holding any of them; lone text and images have their own tools
+  getSelectedVector() {
+    const active = this.canvas.getActiveObject()
+    if (active?.type !== "group" && !VECTOR_TYPES.includes(active?.type)) return null
+    return this.getVectorColors(active).size ? active : null
+  }
+
+  // The fills, outlines and gradient stops of a vector object, grouped by colour so each
+  // colour can be swapped as one. Images inside a group keep their own colours.
+  getVectorColors(obj) {
+    const colors = new Map()
+    const add = (value, target) => {
+      const color = new fabric.Color(value)
+      if (color.getAlpha() === 0) return
+      const hex = `#${color.toHex()}`.toLowerCase()
+      if (!colors.has(hex)) colors.set(hex, [])
+      colors.get(hex).push(target)
+    }
+    const parts = obj.type === "group" ? obj.getObjects() : [obj]
+    parts.forEach((part) => {
+      if (part.type === "image") return
+      for (const prop of ["fill", "stroke"]) {
+        const value = part[prop]
+        if (!value || (prop === "stroke" && !part.strokeWidth)) continue
+        if (value.colorStops) value.colorStops.forEach((stop) => add(stop.color, { part, prop, stop }))
+        else if (typeof value === "string") add(value, { part, prop })
+      }
+    })
+    return colors
+  }
+
+  setVectorColor(targets, color) {
+    targets.forEach(({ part, prop, stop }) => {
+      if (stop) {
+        stop.color = color
+        part.dirty = true
+      } else {
+        part.set(prop, color)
+      }
+    })
+  }
+
+  // Palette of the selected artwork's colours in the contextual artwork toolbar
+  updateVectorColors() {
+    const toolbar = document.getElementById("artworkToolbar")
+    const list = document.getElementById("vectorColors")
+    const obj = this.getSelectedVector()
+    toolbar.hidden = !obj
+    list.innerHTML = ""
+    if (!obj) return
+
+    this.getVectorColors(obj).forEach((targets, hex) => {
+      const input = document.createElement("input")
+      input.type = "color"
+      input.value = hex
+      input.title = `${hex} · ${targets.length} ${targets.length === 1 ? "use" : "uses"}`
+      input.addEventListener("input", () => {
+        this.setVectorColor(targets, input.value)
+        obj.dirty = true
+        this.canvas.requestRenderAll()
+        this.updateMugTextureLive()
+      })
+      input.addEventListener("change", () => {
+        this.saveHistory("Recolour")
+        this.updateLayersPanel()
+        this.updateVectorColors()
+        this.debouncedUpdate()
+      })
+      list.appendChild(input)
+    })
+  }
+
+  setupShapesPanel() {
+    const shapeGrid = document.getElementById("shapeGrid")
+    Object.entries(SHAPES).forEach(([id, shape]) => {
+      const button = document.createElement("button")
+      button.className = "shape-item"
+      button.title = shape.name
+      button.innerHTML = `<i class="fas ${shape.icon}"></i>`
+      button.addEventListener("click", () => this.addShape(id))
+      shapeGrid.appendChild(button)
+    })
+
+    const catalogue = document.getElementById("clipartCatalogue")
+    const clipartItems = new Map()
+    Object.entries(CLIPART_CATEGORIES).forEach(([category, label]) => {
+      const section = document.createElement("section")
+      section.className = "clipart-category"
+      section.innerHTML = `<h4>${label}</h4><div class="clipart-grid"></div>`
+      CLIPART.filter((item) => item.category === category).forEach((item) => {
+        const button = document.createElement("button")
+        button.className = "clipart-item"
+        button.title = item.name
+        button.innerHTML = `<img src="${item.file}" alt="${item.name}" loading="lazy">`
+        button.addEventListener("click", () => this.addClipart(item))
+        section.querySelector(".clipart-grid").appendChild(button)
+        clipartItems.set(item, button)
+      })
+      catalogue.appendChild(section)
+    })
+
+    const empty = document.getElementById("clipartEmpty")
+    document.getElementById("clipartSearch").addEventListener("input", (e) => {
+      const matches = searchClipart(e.target.value)
+      clipartItems.forEach((button, item) => (button.hidden = !matches.includes(item)))
+      catalogue.querySelectorAll(".clipart-category").forEach((section) => {
+        section.hidden = !section.querySelector(".clipart-item:not([hidden])")
+      })
+      empty.hidden = matches.length > 0
+    })
+  }
+
+  buildImageFilters(adjustments) {
+    const { filters } = fabric.Image
+    const result = []
+    // Keying runs first so it matches the colours as they are in the original image
+    if (adjustments.colorKey) {
+      result.push(
+        new filters.RemoveColor({
+          color: adjustments.colorKeyColor,
+          distance: adjustments.colorKeyTolerance / 100,
+        }),
+      )
+    }
+    if (adjustments.brightness) result.push(new filters.Brightness({ brightness: adjustments.brightness / 100 }))
+    if (adjustments.contrast) result.push(new filters.Contrast({ contrast: adjustments.contrast / 100 }))
+    if (adjustments.saturation) result.push(new filters.Saturation({ saturation: adjustments.saturation / 100 }))
+    if (adjustments.hue) result.push(new filters.HueRotation({ rotation: adjustments.hue / 180 }))
+    if (adjustments.grayscale || adjustments.duotone) result.push(new filters.Grayscale())
+    if (adjustments.sepia) result.push(new filters.Sepia())
+    if (adjustments.duotone) {
+      // On a grey image each channel runs from the shadow colour to the highlight colour
+      const dark = new fabric.Color(adjustments.duotoneDark).getSource()
+      const light = new fabric.Color(adjustments.duotoneLight).getSource()
+      const matrix = [0, 1, 2].flatMap((channel) => {
+        const row = [0, 0, 0, 0, dark[channel] / 255]
+        row[channel] = (light[channel] - dark[channel]) / 255
+        return row
+      })
+      result.push(new filters.ColorMatrix({ matrix: [...matrix, 0, 0, 0, 1, 0] }))
+    }
+    if (adjustments.invert) result.push(new filters.Invert())
+    if (adjustments.sharpness > 0) {
+      const amount = adjustments.sharpness / 100
+      result.push(new filters.Convolute({ matrix: [0, -amount, 0, -amount, 1 + 4 * amount, -amount, 0, -amount, 0] }))
+    } else if (adjustments.sharpness < 0) {
+      result.push(new filters.Blur({ blur: -adjustments.sharpness / 200 }))
+    }
+    return result
+  }
+
+  setImageAdjustments(img, adjustments) {
+    img.adjustments = adjustments
+    img.filters = this.buildImageFilters(adjustments)
+    img.applyFilters()
+    img.dirty = true
+  }
+
+  // Source pixels per printed inch, taken along the more stretched axis
+  getEffectiveDpi(img) {
+    const { x, y } = img.getObjectScaling()
+    return Math.round(this.getPixelsPerInch() / Math.max(Math.abs(x), Math.abs(y)))
+  }
+
+  getDpiLevel(dpi) {
+    if (dpi < POOR_DPI) return "poor"
+    if (dpi < LOW_DPI) return "low"
+    return "good"
+  }
+
+  updateDpiIndicators() {
+    const active = this.canvas.getActiveObject()
+    const objects = active?.type === "activeSelection" ? active.getObjects() : [active]
+    objects.forEach((obj) => {
+      const badge = obj && this.layerDpiBadges.get(obj)
+      if (badge) this.renderDpiBadge(badge, this.getEffectiveDpi(obj))
+    })
+    this.updateSelectionDpi()
+  }
+
+  renderDpiBadge(element, dpi) {
+    const level = this.getDpiLevel(dpi)
+    element.textContent = `${dpi} DPI`
+    element.dataset.level = level
+    element.title =
+      level === "good" ? "Prints sharply at this size" : `Below ${LOW_DPI} DPI, this image may print blurry`
+  }
+
+  updateSelectionDpi() {
+    const img = this.getSelectedImage()
+    this.selectionDpi.hidden = !img
+    if (!img) return
+
+    const bounds = img.getBoundingRect()
+    this.renderDpiBadge(this.selectionDpi, this.getEffectiveDpi(img))
+    this.selectionDpi.style.left = `${bounds.left + bounds.width / 2}px`
+    this.selectionDpi.style.top = `${bounds.top + bounds.height + 8}px`
+  }
+
+  getSelectedImage() {
+    const active = this.canvas.getActiveObject()
+    return active?.type === "image" ? active : null
+  }
+
+  updateSelectionPanels() {
+    this.updateLayerSelection()
+    this.updateArrangePanel()
+    this.updateVectorColors()
+    this.updateAdjustmentsPanel()
+    this.updateSelectionDpi()
+    this.updateTextToolbar()
+  }
+
+  isText(obj) {
+    return obj instanceof fabric.Text
+  }
+
+  getSelectedText() {
+    const active = this.canvas.getActiveObject()
+    return this.isText(active) ? active : null
+  }
+
+  toColorInputValue(color, fallback) {
+    if (typeof color !== "string" || !color) return fallback
+    return `#${new fabric.Color(color).toHex()}`
+  }
+
+  // Mirrors the selected text's properties in the contextual toolbar, hiding it otherwise
+  updateTextToolbar() {
+    const toolbar = document.getElementById("textToolbar")
+    const text = this.getSelectedText()
+    toolbar.hidden = !text
+    if (!text) return
+
+    const gradient = text.fill?.toLive ? text.fill : null
+    const colors = {
+      fill: gradient ? gradient.colorStops[0].color : text.fill,
+      gradientColor: gradient?.colorStops[1].color,
+      stroke: text.stroke,
+      outerStroke: text.outerStroke,
+      shadowColor: text.shadow?.color,
+    }
+    toolbar.dataset.kind = text.type
+    toolbar.querySelectorAll("[data-text-prop]").forEach((input) => {
+      const prop = input.dataset.textProp
+      if (input === document.activeElement) return
+      if (prop in colors) {
+        if (colors[prop]) input.value = this.toColorInputValue(colors[prop], input.value)
+      } else if (prop === "fontSize" || prop === "radius") {
+        input.value = Math.round(text[prop] || 0)
+      } else {
+        input.value = text[prop] ?? ""
+      }
+    })
+    toolbar.querySelectorAll("[data-text-toggle]").forEach((button) => {
+      const prop = button.dataset.textToggle
+      button.classList.toggle("active", text[prop] === TEXT_TOGGLES[prop][0])
+    })
+    toolbar.querySelectorAll("[data-text-align]").forEach((button) => {
+      button.classList.toggle("active", text.textAlign === button.dataset.textAlign)
+    })
+    document.getElementById("textBoxToggle").classList.toggle("active", text.type === "textbox")
+    document.getElementById("textCurveToggle").classList.toggle("active", text.type === "arc-text")
+    document.getElementById("textGradientToggle").classList.toggle("active", Boolean(gradient))
+    document.getElementById("textShadowToggle").classList.toggle("active", Boolean(text.shadow))
+  }
+
+  // Picking a gradient or shadow colour switches that effect on
+  setTextProperty(text, prop, value) {
+    if (prop === "fill" && text.fill?.toLive) {
+      this.setTextGradient(text, value, text.fill.colorStops[1].color)
+    } else if (prop === "gradientColor") {
+      this.setTextGradient(text, text.fill?.toLive ? text.fill.colorStops[0].color : text.fill, value)
+    } else if (prop === "shadowColor") {
+      const alpha = new fabric.Color(text.shadow?.color || TEXT_SHADOW.color).getAlpha()
+      const color = new fabric.Color(value).setAlpha(alpha).toRgba()
+      text.set("shadow", new fabric.Shadow({ ...TEXT_SHADOW, ...text.shadow?.toObject(), color }))
+    } else {
+      text.set(prop, value)
+    }
+    text.setCoords()
+    this.checkBounds(text)
+    this.canvas.requestRenderAll()
+  }
+
+  setTextGradient(text, from, to) {
+    text.set(
+      "fill",
+      new fabric.Gradient({
+        type: "linear",
+        gradientUnits: "percentage",
+        coords: { x1: 0, y1: 0, x2: 0, y2: 1 },
+        colorStops: [
+          { offset: 0, color: from || "#000000" },
+          { offset: 1, color: to },
+        ],
+      }),
+    )
+  }
+
+  // Swaps a text object for one of another text class, keeping its content, styling and stacking position
+  replaceText(text, TextClass, options = {}) {
+    const { type, width, styles, ...props } = text.toObject(DESIGN_PROPS)
+    const replacement = new TextClass(text.text, {
+      ...props,
+      styles: fabric.util.object.clone(text.styles, true),
+      clipPath: text.clipPath,
+      ...options,
+    })
+
+    const index = this.canvas.getObjects().indexOf(text)
+    this.canvas.remove(text)
+    this.canvas.insertAt(replacement, index)
+    this.canvas.setActiveObject(replacement)
+    replacement.setCoords()
+    this.checkBounds(replacement)
+    this.canvas.requestRenderAll()
+    this.debouncedUpdate()
+    return replacement
+  }
+
+  // Single-line IText and wrapping Textbox of the same width
+  toggleTextBox(text) {
+    const toTextbox = text.type !== "textbox"
+    if (toTextbox) this.replaceText(text, fabric.Textbox, { width: text.width })
+    else this.replaceText(text, fabric.IText)
+    this.saveHistory(toTextbox ? "Convert to text box" : "Convert to single line")
+  }
+
+  toggleArcText(text) {
+    const toArc = text.type !== "arc-text"
+    if (toArc) {
+      // Start with the text spanning about a third of the circle
+      const radius = Math.round(Math.max((text.width * 3) / (2 * Math.PI), 40))
+      this.replaceText(text, fabric.ArcText, { radius })
+    } else {
+      this.replaceText(text, fabric.IText)
+    }
+    this.saveHistory(toArc ? "Curve text" : "Straighten text")
+  }
+
+  // A number field is ignored while it is empty, and sizes must stay above zero
+  isValidTextNumber(input) {
+    const value = Number(input.value)
+    if (input.value.trim() === "" || !Number.isFinite(value)) return false
+    return !["fontSize", "lineHeight"].includes(input.dataset.textProp) || value > 0
+  }
+
+  setupTextToolbar() {
+    const toolbar = document.getElementById("textToolbar")
+    document.getElementById("textToolbarFont").innerHTML = document.getElementById("fontSelect").innerHTML
+
+    toolbar.addEventListener("input", (e) => {
+      const text = this.getSelectedText()
+      const prop = e.target.dataset.textProp
+      if (!text || !prop) return
+      if (e.target.type === "number" && !this.isValidTextNumber(e.target)) return
+      const value = e.target.type === "number" ? Number(e.target.value) : e.target.value
+      this.setTextProperty(text, prop, value)
+      this.updateMugTextureLive()
+    })
+    toolbar.addEventListener("change", (e) => {
+      const text = this.getSelectedText()
+      const prop = e.target.dataset.textProp
+      if (!text || !prop) return
+      // A field left empty or invalid goes back to the text's value
+      if (e.target.type === "number" && !this.isValidTextNumber(e.target)) {
+        e.target.value = text[prop]
+        return
+      }
+      this.saveHistory(TEXT_PROP_LABELS[prop])
+      this.updateLayersPanel()
+      this.debouncedUpdate()
+    })
+
+    toolbar.addEventListener("click", (e) => {
+      const button = e.target.closest("button")
+      const text = this.getSelectedText()
+      if (!button || !text) return
+
+      if (button.dataset.textToggle) {
+        const prop = button.dataset.textToggle
+        const [on, off] = TEXT_TOGGLES[prop]
+        this.setTextProperty(text, prop, text[prop] === on ? off : on)
+        this.saveHistory(TEXT_PROP_LABELS[prop])
+      } else if (button.dataset.textAlign) {
+        this.setTextProperty(text, "textAlign", button.dataset.textAlign)
+        this.saveHistory(TEXT_PROP_LABELS.textAlign)
+      } else if (button.id === "textBoxToggle") {
+        this.toggleTextBox(text)
+        return
+      } else if (button.id === "textCurveToggle") {
+        this.toggleArcText(text)
+        return
+      } else if (button.id === "textGradientToggle") {
+        const gradient = text.fill?.toLive ? text.fill : null
+        if (gradient) text.set("fill", gradient.colorStops[0].color)
+        else this.setTextGradient(text, text.fill, toolbar.querySelector('[data-text-prop="gradientColor"]').value)
+        this.canvas.requestRenderAll()
+        this.saveHistory(gradient ? "Remove gradient" : "Add gradient")
+      } else if (button.id === "textShadowToggle") {
+        this.setTextProperty(text, "shadow", text.shadow ? null : new fabric.Shadow(TEXT_SHADOW))
+        this.saveHistory(text.shadow ? "Add shadow" : "Remove shadow")
+      } else {
+        return
+      }
+      this.updateTextToolbar()
+      this.debouncedUpdate()
+    })
+  }
+
+  // Syncs the adjustments panel with the selected image, closing it when there is none
+  updateAdjustmentsPanel() {
+    const img = this.getSelectedImage()
+    const toggle = document.getElementById("adjustmentsToggle")
+    toggle.disabled = !img
+    if (!img) {
+      toggle.classList.remove("active")
+      document.getElementById("adjustmentsPanel").classList.remove("active")
+      return
+    }
+
+    const adjustments = { ...DEFAULT_ADJUSTMENTS, ...img.adjustments }
+    document.querySelectorAll("#adjustmentsPanel [data-adjust]").forEach((input) => {
+      const value = adjustments[input.dataset.adjust]
+      if (input.type === "checkbox") input.checked = value
+      else input.value = value
+    })
+    this.updateAdjustmentLabels(adjustments)
+  }
+
+  updateAdjustmentLabels(adjustments) {
+    document.querySelectorAll("#adjustmentsPanel [data-adjust-value]").forEach((output) => {
+      const value = adjustments[output.dataset.adjustValue]
+      output.textContent = output.dataset.adjustValue === "hue" ? `${value}°` : value
+    })
+  }
+
+  readAdjustmentsPanel() {
+    const adjustments = { ...DEFAULT_ADJUSTMENTS }
+    document.querySelectorAll("#adjustmentsPanel [data-adjust]").forEach((input) => {
+      const key = input.dataset.adjust
+      if (input.type === "checkbox") adjustments[key] = input.checked
+      else if (input.type === "range") adjustments[key] = Number(input.value)
+      else adjustments[key] = input.value
+    })
+    return adjustments
+  }
+
+  async uploadFont(file) {
+    const extension = file.name.split(".").pop().toLowerCase()
+    const format = FONT_FORMATS[extension]
+    if (!format) {
+      this.showModal("⚠ Please upload a TTF, OTF, WOFF or WOFF2 font file.")
+      return
+    }
+
+    const fileFamily = file.name.replace(/\.[^.]+$/, "").replace(/["'\\]/g, "")
+    const baseFamily = fileFamily.trim() || "Custom font"
+    const builtIn = [...document.getElementById("fontSelect").options].map((option) => option.value)
+    let family = baseFamily
+    for (let n = 2; builtIn.includes(family) || this.fontLibrary.has(family); n++) family = `${baseFamily} ${n}`
+
+    try {
+      const dataURL = await this.readFileAsDataURL(file)
+      await this.fontLibrary.register({ family, format, dataURL })
+      this.updateFontPickers()
+      document.getElementById("fontSelect").value = family
+    } catch (error) {
+      console.error("Error loading font:", error)
+      this.showModal(`⚠ ${file.name} could not be loaded as a font.`)
+    }
+  }
+
+  removeFont(family) {
+    if (this.getUsedFontFamilies().has(family)) {
+      this.showModal(`⚠ ${family} is used in this design. Change that text's font before removing it.`)
+      return
+    }
+    this.fontLibrary.remove(family)
+    this.updateFontPickers()
+  }
+
+  getUsedFontFamilies() {
+    const families = new Set()
+    Object.values(this.surfaces).forEach(({ canvas }) => {
+      canvas.getObjects().forEach((obj) => {
+        if (!this.isText(obj)) return
+        families.add(obj.fontFamily)
+        Object.values(obj.styles || {}).forEach((line) => {
+          Object.values(line).forEach((style) => style.fontFamily && families.add(style.fontFamily))
+        })
+      })
+    })
+    return families
+  }
+
+  // Lists uploaded fonts in both font pickers and in the font manager, each shown in its own face
+  updateFontPickers() {
+    const families = this.fontLibrary.families
+    const pickers = [document.getElementById("fontSelect"), document.getElementById("textToolbarFont")]
+    pickers.forEach((select) => {
+      const value = select.value
+      select.querySelectorAll("option[data-custom]").forEach((option) => option.remove())
+      families.forEach((family) => {
+        const option = new Option(family, family)
+        option.dataset.custom = "true"
+        option.style.fontFamily = `"${family}"`
+        select.add(option)
+      })
+      select.value = value
+    })
+
+    const fontList = document.getElementById("fontList")
+    fontList.innerHTML = ""
+    families.forEach((family) => {
+      const item = document.createElement("div")
+      item.className = "font-item"
+
+      const preview = document.createElement("div")
+      preview.className = "font-item-preview"
+      const sample = document.createElement("strong")
+      sample.textContent = "The quick brown fox"
+      sample.style.fontFamily = `"${family}"`
+      const name = document.createElement("span")
+      name.textContent = `${family} · ${this.fontLibrary.get(family).format.toUpperCase()}`
+      preview.append(sample, name)
+
+      const removeBtn = document.createElement("button")
+      removeBtn.title = "Remove font"
+      removeBtn.innerHTML = '<i class="fas fa-trash"></i>'
+      removeBtn.addEventListener("click", () => this.removeFont(family))
+
+      item.append(preview, removeBtn)
+      fontList.appendChild(item)
+    })
+    this.updateTextToolbar()
+  }
+
+  readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.onerror = () => reject(reader.error)
+      reader.readAsDataURL(file)
+    })
+  }
+
+  // ... existing code continues with all the other methods ...
+
+  loadModel(url) {
+    if (!this.models.has(url)) {
+      const loader = new GLTFLoader()
+      const model = new Promise((resolve, reject) => {
+        loader.load(url, resolve, undefined, reject)
+      })
+      // Let a failed download be retried on the next product switch
+      model.catch(() => this.models.delete(url))
+      this.models.set(url, model)
+    }
+    return this.models.get(url)
+  }
+
+  async loadMug() {
+    const product = this.product
+    const loadId = ++this.mugLoadId
+    try {
+      const gltf = await this.loadModel(product.model)
+      if (loadId !== this.mugLoadId) return
+
+      if (this.mug) {
+        this.scene.remove(this.mug)
+        Object.values(this.meshes).forEach((mesh) => {
+          mesh.material.map?.dispose()
+          mesh.material.dispose()
+          if (mesh.userData.ownsGeometry) mesh.geometry.dispose()
+        })
+      }
+      this.mug = gltf.scene.clone(true)
+      this.meshes = {}
+
+      this.mug.traverse((child) => {
+        if (child.isMesh) {
+          this.meshes[child.name] = child
+          child.material = new THREE.MeshPhysicalMaterial({
+            ...(this.mockupMode ? CERAMIC_FINISH : PREVIEW_FINISH),
+            color: child.material.color,
+          })
+        }
+      })
+      if (product.splitMesh) {
+        const combined = this.meshes[product.splitMesh]
+        delete this.meshes[product.splitMesh]
+        splitMugParts(combined).forEach((mesh) => (this.meshes[mesh.name] = mesh))
+        combined.material.dispose()
+      }
+      Object.values(this.meshes).forEach((mesh) => {
+        mesh.userData.defaultColor = mesh.material.color.clone()
+      })
+      Object.entries(product.surfaces || {}).forEach(([id, options]) => {
+        const mesh = this.getMesh(SURFACES[id].role)
+        if (!mesh) return
+        SURFACES[id].mapUvs(mesh, options)
+        mesh.userData.surfaceUvs = true
+      })
+
+      this.mug.scale.set(...product.scale)
+
+      const box = new THREE.Box3().setFromObject(this.mug)
+      const center = box.getCenter(new THREE.Vector3())
+      const size = box.getSize(new THREE.Vector3())
+      this.mug.position.sub(center)
+      this.contactShadow.position.y = box.min.y - center.y + 0.01
+      this.contactShadow.scale.setScalar(Math.max(size.x, size.z) * 1.6)
+
+      this.mug.rotation.y = product.rotationY
+      this.scene.add(this.mug)
+      this.updateMugMaterials()
+      this.updateMugPartsPanel()
+
+      this.controls.target.set(0, 0, 0)
+      this.camera.position.set(...product.camera.position)
+      this.camera.lookAt(0, 0, 0)
+      this.controls.minDistance = product.camera.minDistance
+      this.controls.maxDistance = product.camera.maxDistance
+      this.controls.update()
+      this.updateMugTextures()
+    } catch (error) {
+      console.error("Error loading mug:", error)
+      this.showModal("⚠ Failed to load mug model. Please try again.")
+    }
+  }
+
+  getMesh(role) {
+    const name = this.product.meshes[role]
+    return name ? this.meshes[name] : null
+  }
+
+  setProduct(productId) {
+    const product = PRODUCTS[productId]
+    if (!product) return
+    this.productId = productId
+    this.product = product
+    document.getElementById("productSelect").value = productId
+    this.withSurface("outside", () => this.setProfile(product.profile))
+    Object.entries(product.surfaces || {}).forEach(([id, { profile }]) => {
+      this.withSurface(id, () => this.setProfile(profile))
+    })
+    this.showSurface(this.surfaceId)
+    this.loadMug()
+  }
+
+  updateMugTexture(surfaceId = this.surfaceId) {
+    const mesh = this.getSurfaceMesh(surfaceId)
+    if (!mesh) return Promise.resolve()
+
+    const dataURL = this.withSurface(surfaceId, () =>
+      this.renderDesign({ multiplier: Math.min(4, window.innerWidth / 500) }),
+    )
+
+    return new Promise((resolve) => {
+      new THREE.TextureLoader().load(dataURL, (loaded) => {
+        // Generated UVs leave a blank margin around the print, see surfaces.js
+        const tex = mesh.userData.surfaceUvs ? createMarginTexture(loaded.image) : loaded
+        if (tex !== loaded) loaded.dispose()
+        tex.anisotropy = this.renderer.capabilities.getMaxAnisotropy()
+        tex.encoding = THREE.sRGBEncoding
+        if (mesh.material.map) mesh.material.map.dispose()
+        mesh.material.map = tex
+        mesh.material.needsUpdate = true
+        resolve()
+      })
+    })
+  }
+
+  updateMugTextures() {
+    return Promise.all(Object.keys(this.surfaces).map((id) => this.updateMugTexture(id)))
+  }
+
+  // Keeps the mug in step with a drag on the 3D view; a new texture is only
+  // started once the previous one has loaded
+  updateMugTextureLive() {
+    if (this.liveTextureUpdate) return
+    this.liveTextureUpdate = this.updateMugTexture().finally(() => {
+      this.liveTextureUpdate = null
+    })
+  }
+
+  // Picks the active surface under the pointer and maps its UV back onto the design canvas
+  getCanvasPointFromEvent(event) {
+    const mesh = this.getSurfaceMesh(this.surfaceId)
+    if (!mesh) return null
+
+    const rect = this.renderer.domElement.getBoundingClientRect()
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    )
+    this.raycaster.setFromCamera(this.pointer, this.camera)
+    const [hit] = this.raycaster.intersectObject(mesh, false)
+    if (!hit?.uv) return null
+
+    // The texture is flipped on upload, transformUv applies the same flip to the hit
+    const uv = hit.uv.clone()
+    if (mesh.userData.surfaceUvs) {
+      uv.set(uv.x - Math.floor(uv.x), 1 - fromTextureV(uv.y))
+      if (uv.y < 0 || uv.y > 1) return null
+    } else if (mesh.material.map) {
+      mesh.material.map.transformUv(uv)
+    } else {
+      uv.y = 1 - uv.y
+    }
+    return new fabric.Point(uv.x * this.canvas.width, uv.y * this.canvas.height)
+  }
+
+  // Topmost selectable design object under a canvas point, including its wrap copies
+  findObjectAt(point) {
+    const candidates = [point]
+    if (this.wrapMode) {
+      candidates.push(point.add(new fabric.Point(this.canvas.width, 0)))
+      candidates.push(point.subtract(new fabric.Point(this.canvas.width, 0)))
+    }
+    return this.canvas
+      .getObjects()
+      .filter((obj) => obj.visible && obj.selectable && obj.evented && !obj.excludeFromExport)
+      .reverse()
+      .find((obj) => candidates.some((p) => obj.containsPoint(p, null, true, true)))
+  }
+
+  // Locked objects can still be picked on the mug, but not dragged
+  canDragOnMug(obj) {
+    return !obj.layoutLocked && !(obj.lockMovementX && obj.lockMovementY)
+  }
+
+  setupMugInteraction() {
+    this.raycaster = new THREE.Raycaster()
+    this.pointer = new THREE.Vector2()
+    this.liveTextureUpdate = null
+    let drag = null
+
+    // Capture phase so a grab on a design object can switch off OrbitControls
+    // before its own pointerdown handler starts rotating the camera
+    this.container.addEventListener(
+      "pointerdown",
+      (e) => {
+        if (e.button !== 0) return
+        const point = this.getCanvasPointFromEvent(e)
+        if (!point) return
+
+        const target = this.findObjectAt(point)
+        if (!target) {
+          this.canvas.discardActiveObject()
+          this.canvas.requestRenderAll()
+          return
+        }
+
+        this.canvas.setActiveObject(target)
+        this.canvas.requestRenderAll()
+        if (!this.canDragOnMug(target)) return
+        this.controls.enabled = false
+        this.container.setPointerCapture(e.pointerId)
+        drag = { target, start: point, left: target.left, top: target.top, moved: false }
+      },
+      { capture: true },
+    )
+
+    this.container.addEventListener("pointermove", (e) => {
+      const point = this.getCanvasPointFromEvent(e)
+      if (!drag) {
+        const target = point && this.findObjectAt(point)
+        this.container.style.cursor = target && this.canDragOnMug(target) ? "move" : ""
+        return
+      }
+      if (!point) return
+
+      // Dragging over the seam jumps from one end of the strip to the other
+      let dx = point.x - drag.start.x
+      if (this.profile.wraps !== false && Math.abs(dx) > this.canvas.width / 2) {
+        dx -= Math.sign(dx) * this.canvas.width
+      }
+      const { target } = drag
+      if (!target.lockMovementX) target.set("left", drag.left + dx)
+      if (!target.lockMovementY) target.set("top", drag.top + point.y - drag.start.y)
+      target.setCoords()
+      drag.moved = true
+      this.canvas.fire("object:moving", { target })
+      this.canvas.requestRenderAll()
+      this.updateMugTextureLive()
+    })
+
+    const endDrag = (e) => {
+      if (!drag) return
+      const { target, moved } = drag
+      drag = null
+      this.controls.enabled = true
+      if (this.container.hasPointerCapture(e.pointerId)) this.container.releasePointerCapture(e.pointerId)
+      if (moved) this.canvas.fire("object:modified", { target, action: "drag" })
+    }
+    this.container.addEventListener("pointerup", endDrag)
+    this.container.addEventListener("pointercancel", endDrag)
+
+    // Images and text dropped on the mug land where they were dropped
+    this.container.addEventListener("dragover", (e) => {
+      e.preventDefault()
+      e.dataTransfer.dropEffect = "copy"
+    })
+    this.container.addEventListener("drop", async (e) => {
+      e.preventDefault()
+      const point = this.getCanvasPointFromEvent(e)
+      const [file] = e.dataTransfer.files
+      const text = e.dataTransfer.getData("text/plain").trim()
+      if (file) {
+        await this.handleImageUpload(file, point)
+      } else if (text) {
+        this.addText(text, point)
+      }
+    })
+  }
+
+  // Renders the printable objects (guides hidden) exactly as they go onto the mug
+  renderDesign({ multiplier = 1, bleed = false, format = "png" } = {}) {
+    const helpers = this.canvas.getObjects().filter((obj) => obj.excludeFromExport && obj.visible)
+    helpers.forEach((obj) => obj.set({ visible: false }))
+
+    const margin = bleed ? this.getBleedPx() : 0
+    const dataURL = this.canvas.toDataURL({
+      format,
+      multiplier,
+      quality: 1,
+      left: -margin,
+      top: -margin,
+      width: this.canvas.width + margin * 2,
+      height: this.canvas.height + margin * 2,
+    })
+
+    helpers.forEach((obj) => obj.set({ visible: true }))
+    this.canvas.renderAll()
+    return dataURL
+  }
+
+  getPixelsPerInch() {
+    return this.getPixelsPerMm() * MM_PER_INCH
+  }
+
+  getExportOptions() {
+    return {
+      format: document.getElementById("exportFormat").value,
+      dpi: Number(document.getElementById("exportDpi").value),
+      bleed: document.getElementById("exportBleed").checked,
+      cropMarks: document.getElementById("exportCropMarks").checked,
+      jobInfo: document.getElementById("exportJobInfo").checked,
+      outlineText: document.getElementById("exportOutlineText").checked,
+    }
+  }
+
+  // Lower-case words joined by underscores, safe as a file name anywhere
+  toFileName(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+  }
+
+  getExportBaseName() {
+    return this.toFileName(this.currentProject?.name || "mug design") || "mug_design"
+  }
+
+  // Print file for one surface. Fonts for outlined text are loaded before the surface is
+  // made active, so the editor is only switched over while the file is drawn.
+  async createSurfacePrintFile(id, options) {
+    const outlines =
+      options.format === "svg" && options.outlineText ? await this.createTextOutlines(this.surfaces[id].canvas) : null
+    return this.withSurface(id, () => this.createPrintFile({ ...options, outlines }))
+  }
+
+  // outlines maps text objects to their outlines for SVG, see createTextOutlines()
+  createPrintFile({
+    format = "png",
+    dpi = 300,
+    bleed = true,
+    cropMarks = false,
+    jobInfo = false,
+    outlines = null,
+    fileName = this.getExportBaseName(),
+    jobLabel = null,
+  } = {}) {
+    const surface = this.surfaceId === "outside" ? "" : `_${this.surfaceId}`
+    const baseName = `${fileName}${surface}`
+    if (format === "svg") {
+      const svg = this.createSvg({ bleed, outlines })
+      return { blob: new Blob([svg], { type: "image/svg+xml" }), filename: `${baseName}.svg` }
+    }
+    if (format === "pdf") {
+      const doc = this.createPdf({ dpi, bleed, cropMarks, jobInfo, jobLabel })
+      return { blob: doc.output("blob"), filename: `${baseName}.pdf` }
+    }
+
+    const dataURL = this.renderDesign({ multiplier: dpi / this.getPixelsPerInch(), bleed })
+    const bytes = setPngDpi(dataURLToBytes(dataURL), dpi)
+    return { blob: new Blob([bytes], { type: "image/png" }), filename: `${baseName}.png` }
+  }
+
+  createSvg({ bleed, outlines }) {
+    const pxPerInch = this.getPixelsPerInch()
+    const margin = bleed ? this.getBleedPx() : 0
+    const width = this.canvas.width + margin * 2
+    const height = this.canvas.height + margin * 2
+
+    // toSVG() is patched per object (outlines, tiled patterns, wrap copies) only for the duration of the export
+    const patched = []
+    outlines?.forEach((outline, obj) => {
+      obj.toSVG = (reviver) => {
+        const outer = hasOuterStroke(obj) ? withOuterStroke(outline, obj, () => outline.toSVG(reviver)) : ""
+        return outer + outline.toSVG(reviver)
+      }
+      patched.push(obj)
+    })
+
+    const pattern = this.getPatternLayer()
+    if (pattern?.patternSettings) {
+      pattern.toSVG = () => this.patternLayerToSVG(pattern)
+      patched.push(pattern)
+    }
+    const background = this.getBackgroundLayer()
+    if (background?.fill instanceof fabric.Pattern) {
+      background.toSVG = () => this.backgroundLayerToSVG(background)
+      patched.push(background)
+    }
+
+    if (this.wrapMode) {
+      this.canvas.getObjects().forEach((obj) => {
+        const offsets = obj.excludeFromExport ? [] : this.getWrapOffsets(obj)
+        if (offsets.length === 0) return
+        const toSVG = obj.toSVG
+        obj.toSVG = (reviver) => {
+          let markup = toSVG.call(obj, reviver)
+          offsets.forEach((dx) => {
+            const clipPath = obj.clipPath?.absolutePositioned ? obj.clipPath : null
+            if (clipPath) clipPath.left -= dx
+            markup += `<g transform="translate(${dx} 0)">\n${toSVG.call(obj, reviver)}</g>\n`
+            if (clipPath) clipPath.left += dx
+          })
+          return markup
+        }
+        patched.push(obj)
+      })
+    }
+
+    const sources = this.getEmbeddedImageSources()
+    let svg
+    try {
+      svg = this.canvas.toSVG(
+        {
+          width: `${width / pxPerInch}in`,
+          height: `${height / pxPerInch}in`,
+          viewBox: { x: -margin, y: -margin, width, height },
+        },
+        (markup) => sources.reduce((result, [src, dataURL]) => result.split(src).join(dataURL), markup),
+      )
+    } finally {
+      patched.forEach((obj) => delete obj.toSVG)
+    }
+
+    return svg
+  }
+
+  // Patterns are referenced by URL, so inline them to keep the SVG self-contained
+  getEmbeddedImageSources() {
+    const sources = new Map()
+    this.canvas.getObjects("image").forEach((img) => {
+      const src = img.getSvgSrc(true)
+      if (src.startsWith("data:") || sources.has(src)) return
+      const element = img.getElement()
+      const canvas = fabric.util.createCanvasElement()
+      canvas.width = element.naturalWidth || element.width
+      canvas.height = element.naturalHeight || element.height
+      canvas.getContext("2d").drawImage(element, 0, 0)
+      sources.set(src, canvas.toDataURL("image/png"))
+    })
+    return [...sources].map(([src, dataURL]) => [`xlink:href="${src}"`, `xlink:href="${dataURL}"`])
+  }
+
+  // "normal", "bold", "italic" or "bold italic", as in the font style picker
+  getFontFace({ fontWeight, fontStyle }) {
+    const bold = fontWeight === "bold" || Number(fontWeight) >= 600
+    const italic = fontStyle === "italic" || fontStyle === "oblique"
+    return [bold && "bold", italic && "italic"].filter(Boolean).join(" ") || "normal"
+  }
+
+  // Uploaded fonts are outlined from the file registered in fabric.fontPaths, the others from
+  // OUTLINE_FONT_URLS. Resolves to null when there is no file for the text's face: an uploaded
+  // font has only its own, and the browser fakes the bold or italic it lacks.
+  async loadOutlineFont(textObj) {
+    const face = this.getFontFace(textObj)
+    const uploaded = fabric.fontPaths[textObj.fontFamily]
+    const url = uploaded || OUTLINE_FONT_URLS[textObj.fontFamily]?.[face]
+    if (!url || this.fontLibrary.get(textObj.fontFamily)?.format === "woff2") return null
+
+    if (!this.outlineFonts.has(url)) {
+      const font = Promise.all([import("opentype.js"), fetch(url).then((res) => res.arrayBuffer())])
+        .then(([{ default: opentype }, buffer]) => opentype.parse(buffer))
+        .catch((error) => {
+          console.error(`Error loading outline font ${textObj.fontFamily}:`, error)
+          return null
+        })
+      this.outlineFonts.set(url, font)
+    }
+    const font = await this.outlineFonts.get(url)
+    if (!font || !uploaded) return font
+
+    const { usWeightClass = 400, fsSelection = 0 } = font.tables.os2 || {}
+    const fakeBold = face.includes("bold") && usWeightClass < 600
+    const fakeItalic = face.includes("italic") && !(fsSelection & 1)
+    return fakeBold || fakeItalic ? null : font
+  }
+
+  // Outlines for the text on a canvas. Text is never kept live or outlined in another face,
+  // so text with no font file for its face stops the export.
+  async createTextOutlines(canvas) {
+    const outlines = new Map()
+    const missing = new Set()
+    for (const obj of canvas.getObjects()) {
+      if (!this.isText(obj) || obj.excludeFromExport) continue
+      const font = await this.loadOutlineFont(obj)
+      const face = this.getFontFace(obj)
+      if (!font) {
+        missing.add(face === "normal" ? obj.fontFamily : `${obj.fontFamily} ${face}`)
+        continue
+      }
+      // Blank text has no outline and nothing to print
+      const outline = this.createTextOutline(obj, font)
+      if (outline) outlines.set(obj, outline)
+    }
+    if (missing.size > 0) {
+      const fonts = [...missing].join(", ")
+      throw new Error(`Text in ${fonts} cannot be converted to outlines. Choose another font or keep the text live.`)
+    }
+    return outlines
+  }
+
+  // Builds a fabric.Path with the glyph outlines of a text object, laid out by fabric's own line metrics
+  createTextOutline(textObj, font) {
+    const commands = []
+    if (textObj.type === "arc-text") {
+      // Each glyph is drawn on its baseline, then turned and moved to its place on the arc
+      const pointKeys = [
+        ["x", "y"],
+        ["x1", "y1"],
+        ["x2", "y2"],
+      ]
+      textObj.getArcLayout().chars.forEach(({ char, width, x, y, angle }) => {
+        const glyphPath = font.getPath(char, -width / 2, 0, textObj.fontSize)
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        glyphPath.commands.forEach((command) => {
+          pointKeys.forEach(([keyX, keyY]) => {
+            if (command[keyX] === undefined) return
+            const px = command[keyX]
+            const py = command[keyY]
+            command[keyX] = x + px * cos - py * sin
+            command[keyY] = y + px * sin + py * cos
+          })
+        })
+        commands.push(glyphPath.toPathData(3))
+      })
+    } else {
+      const left = textObj._getLeftOffset()
+      let lineTop = textObj._getTopOffset()
+      textObj._textLines.forEach((line, lineIndex) => {
+        const heightOfLine = textObj.getHeightOfLine(lineIndex)
+        const maxHeight = heightOfLine / textObj.lineHeight
+        const baseline = lineTop + maxHeight - maxHeight * textObj._fontSizeFraction
+        const lineLeft = left + textObj._getLineLeftOffset(lineIndex)
+
+        line.forEach((grapheme, charIndex) => {
+          const bounds = textObj.__charBounds[lineIndex][charIndex]
+          const glyphPath = font.getPath(grapheme, lineLeft + bounds.left, baseline, textObj.fontSize)
+          commands.push(glyphPath.toPathData(3))
+        })
+        lineTop += heightOfLine
+      })
+    }
+
+    const pathData = commands.join(" ").trim()
+    if (!pathData) return null
+
+    const path = new fabric.Path(pathData, {
+      fill: textObj.fill,
+      stroke: textObj.stroke,
+      strokeWidth: textObj.strokeWidth,
+      opacity: textObj.opacity,
+      shadow: textObj.shadow,
+      clipPath: textObj.clipPath,
+    })
+    // Keep the text's transform: put the path's own centre where the text matrix maps it
+    const center = fabric.util.transformPoint(path.pathOffset, textObj.calcTransformMatrix())
+    path.set({
+      originX: "center",
+      originY: "center",
+      left: center.x,
+      top: center.y,
+      angle: textObj.angle,
+      scaleX: textObj.scaleX,
+      scaleY: textObj.scaleY,
+      flipX: textObj.flipX,
+      flipY: textObj.flipY,
+      skewX: textObj.skewX,
+      skewY: textObj.skewY,
+    })
+    return path
+  }
+
+  createPdf({ dpi, bleed, cropMarks, jobInfo, jobLabel = null }) {
+    const { jsPDF } = window.jspdf
+    const pxPerInch = this.getPixelsPerInch()
+    const trimW = this.profile.widthMm / MM_PER_INCH
+    const trimH = this.profile.heightMm / MM_PER_INCH
+    const bleedIn = bleed ? this.profile.bleedMm / MM_PER_INCH : 0
+    const artW = trimW + bleedIn * 2
+    const artH = trimH + bleedIn * 2
+
+    // Crop marks sit in a slug around the artwork, the job strip below it
+    const slug = cropMarks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH + 0.125 : 0
+    const infoH = jobInfo ? JOB_INFO_HEIGHT : 0
+    const pageW = artW + slug * 2
+    const pageH = artH + slug * 2 + infoH
+
+    const doc = new jsPDF({
+      orientation: pageW >= pageH ? "landscape" : "portrait",
+      unit: "in",
+      format: [pageW, pageH],
+      compress: true,
+    })
+
+    const dataURL = this.renderDesign({ multiplier: dpi / pxPerInch, bleed })
+    doc.addImage(dataURL, "PNG", slug, slug, artW, artH)
+
+    if (cropMarks) {
+      this.drawCropMarks(doc, { x: slug + bleedIn, y: slug + bleedIn, width: trimW, height: trimH }, bleedIn)
+    }
+
+    const sizeLabel = `${trimW.toFixed(2)}" × ${trimH.toFixed(2)}"`
+    if (jobInfo) {
+      const info = [
+        this.currentProject?.name || "Untitled design",
+        jobLabel,
+        this.profile.name,
+        this.describeMugParts() || null,
+        `Trim ${sizeLabel}`,
+        `Bleed ${bleedIn.toFixed(3)}"`,
+        `${dpi} DPI (${Math.round(artW * dpi)} × ${Math.round(artH * dpi)} px)`,
+        new Date().toLocaleString(),
+      ]
+        .filter(Boolean)
+        .join("   |   ")
+      doc.setFontSize(7)
+      doc.setTextColor(60)
+      doc.text(info, Math.max(slug, 0.1), pageH - infoH / 2, { baseline: "middle" })
+    }
+
+    doc.setProperties({
+      title: this.currentProject?.name || "Mug design",
+      subject: `${this.profile.name} print file ${sizeLabel} at ${dpi} DPI`,
+      keywords: `dpi=${dpi}; trim=${trimW.toFixed(3)}x${trimH.toFixed(3)}in; bleed=${bleedIn.toFixed(3)}in`,
+      creator: "PrintCraft Studio",
+    })
+    return doc
+  }
+
+  drawCropMarks(doc, trim, bleedIn) {
+    const start = bleedIn + CROP_MARK_OFFSET
+    const end = start + CROP_MARK_LENGTH
+    const left = trim.x
+    const right = trim.x + trim.width
+    const top = trim.y
+    const bottom = trim.y + trim.height
+
+    const corners = [
+      [left, top, -1, -1],
+      [right, top, 1, -1],
+      [left, bottom, -1, 1],
+      [right, bottom, 1, 1],
+    ]
+
+    doc.setDrawColor(0)
+    doc.setLineWidth(0.25 / 72)
+    corners.forEach(([x, y, dx, dy]) => {
+      doc.line(x + dx * start, y, x + dx * end, y)
+      doc.line(x, y + dy * start, x, y + dy * end)
+    })
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement("a")
+    link.href = url
+    link.download = filename
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  }
+
+  saveHistory(label) {
+    if (this.isRestoring) return
+    this.history.push(label, this.serializeDesign())
+  }
+
+  undo() {
+    const entry = this.history.undo()
+    if (entry) this.restoreHistoryEntry(entry)
+  }
+
+  redo() {
+    const entry = this.history.redo()
+    if (entry) this.restoreHistoryEntry(entry)
+  }
+
+  goToHistory(index) {
+    const entry = this.history.goTo(index)
+    if (entry) this.restoreHistoryEntry(entry)
+  }
+
+  // Queue restores so rapid undo/redo never interleaves two loadFromJSON calls
+  restoreHistoryEntry(entry) {
+    // A restore that fails is reported and leaves the queue free for the next one
+    this.restoreTask = this.restoreTask
+      .then(() => this.loadDesign(entry.state))
+      .catch((error) => {
+        console.error("Error restoring history:", error)
+        this.showModal("⚠ This step could not be restored. Please try again.")
+      })
+    return this.restoreTask
+  }
+
+  updateHistoryPanel() {
+    document.getElementById("undoBtn").disabled = !this.history.canUndo
+    document.getElementById("redoBtn").disabled = !this.history.canRedo
+
+    const list = document.getElementById("historyList")
+    if (!list) return
+    list.innerHTML = ""
+    this.history.entries.forEach((entry, index) => {
+      const item = document.createElement("li")
+      item.className = "history-item"
+      if (index === this.history.index) item.classList.add("current")
+      if (index > this.history.index) item.classList.add("future")
+      item.textContent = entry.label
+      item.addEventListener("click", () => this.goToHistory(index))
+      list.appendChild(item)
+    })
+    list.querySelector(".current")?.scrollIntoView({ block: "nearest" })
+  }
+
+  deleteObject(target) {
+    if (target.layoutLocked) return
+    this.canvas.remove(target)
+    this.canvas.discardActiveObject()
+    this.canvas.requestRenderAll()
+    this.saveHistory("Delete")
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+  }
+
+  duplicateObject(target) {
+    target.clone((clone) => {
+      clone.set({
+        left: target.left + 30,
+        top: target.top + 30,
+        evented: true,
+        // A copy of the pattern is an ordinary image; there is only one background
+        patternImage: false,
+      })
+      this.canvas.add(clone)
+      this.canvas.setActiveObject(clone)
+      this.canvas.requestRenderAll()
+      this.saveHistory("Duplicate")
+      this.updateLayersPanel()
+      this.debouncedUpdate()
+    }, DESIGN_PROPS)
+  }
+
+  // The background is edited from its own panel rather than as a layer
+  getDesignObjects() {
+    return this.canvas
+      .getObjects()
+      .filter(
+        (obj) => obj !== this.safeRect && obj !== this.bleedRect && !obj.excludeFromLayers && !obj.backgroundSettings,
+      )
+  }
+
+  getLayerName(obj, index) {
+    if (obj.name) return obj.name
+    if (obj.patternImage) return "Pattern"
+    if (this.isText(obj)) return `Text: ${obj.text.length > 20 ? `${obj.text.substring(0, 20)}…` : obj.text}`
+    if (obj.type === "group") return `Group of ${obj.size()}`
+    return `Image ${index + 1}`
+  }
+
+  // Rows are kept per object and only refreshed, so focus, scroll and drag state survive updates.
+  // The list runs top-most layer first, the reverse of the canvas stacking order.
+  updateLayersPanel() {
+    const layersPanel = document.getElementById("layersPanel")
+    if (!layersPanel) return
+
+    const designObjects = this.getDesignObjects()
+    if (designObjects.length === 0) {
+      layersPanel.innerHTML =
+        '<p style="text-align: center; color: #94a3b8; font-size: 0.875rem; padding: 1rem;">No layers yet</p>'
+      this.updateLayerSelection()
+      return
+    }
+
+    const rows = designObjects.map((obj, index) => this.updateLayerRow(obj, index)).reverse()
+    layersPanel.replaceChildren(...rows)
+    this.updateLayerSelection()
+    this.scheduleLayerThumbnails()
+  }
+
+  updateLayerRow(obj, index) {
+    let row = this.layerRows.get(obj)
+    if (!row) {
+      row = this.createLayerRow(obj)
+      this.layerRows.set(obj, row)
+    }
+
+    const isPattern = Boolean(obj.patternImage)
+    const locked = isPattern ? !this.patternMovable : !obj.selectable || obj.layoutLocked
+    row.draggable = !isPattern && !obj.layoutLocked
+    row.classList.toggle("layer-fixed", Boolean(obj.layoutLocked))
+    row.classList.toggle("layer-background", isPattern)
+    row.classList.toggle("layer-hidden", !obj.visible)
+
+    const name = row.querySelector(".layer-name")
+    if (name) name.textContent = this.getLayerName(obj, index)
+    const opacity = row.querySelector(".layer-opacity")
+    if (opacity !== document.activeElement) opacity.value = Math.round(obj.opacity * 100)
+    opacity.disabled = Boolean(obj.layoutLocked)
+    row.querySelectorAll("[data-layer-action]").forEach((button) => (button.disabled = Boolean(obj.layoutLocked)))
+    row.querySelector('[data-layer-action="visibility"]').innerHTML = obj.visible
+      ? '<i class="fas fa-eye"></i>'
+      : '<i class="fas fa-eye-slash"></i>'
+    row.querySelector('[data-layer-action="lock"]').innerHTML = locked
+      ? '<i class="fas fa-lock"></i>'
+      : '<i class="fas fa-unlock"></i>'
+
+    const dpiBadge = this.layerDpiBadges.get(obj)
+    if (dpiBadge) this.renderDpiBadge(dpiBadge, this.getEffectiveDpi(obj))
+    return row
+  }
+
+  createLayerRow(obj) {
+    const row = document.createElement("div")
+    row.className = "layer-item"
+    row.title = "Click to select, Shift-click to add to the selection, double-click the name to rename"
+    row.innerHTML = `
+      <span class="layer-grip"><i class="fas fa-grip-vertical"></i></span>
+      <canvas class="layer-thumb" width="${LAYER_THUMBNAIL_SIZE}" height="${LAYER_THUMBNAIL_SIZE}"></canvas>
+      <div class="layer-info">
+        <div class="layer-title">
+          <span class="layer-name"></span>
+          ${obj.patternImage ? '<span class="layer-tag">Background</span>' : ""}
+        </div>
+        <input type="range" class="layer-opacity" min="0" max="100" title="Opacity">
+      </div>
+      <div class="layer-actions">
+        <button data-layer-action="visibility" title="Show or hide"></button>
+        <button data-layer-action="lock" title="Lock or unlock"></button>
+        ${obj.patternImage ? "" : '<button data-layer-action="duplicate" title="Duplicate"><i class="fas fa-clone"></i></button>'}
+        <button data-layer-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+      </div>`
+
+    if (obj.type === "image") {
+      const dpiBadge = document.createElement("span")
+      dpiBadge.className = "layer-dpi"
+      row.querySelector(".layer-title").appendChild(dpiBadge)
+      this.layerDpiBadges.set(obj, dpiBadge)
+    }
+
+    row.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-layer-action]")
+      if (button) this.handleLayerAction(obj, button.dataset.layerAction)
+      else if (!e.target.closest("input")) this.selectLayer(obj, e.shiftKey || e.ctrlKey || e.metaKey)
+    })
+    row.querySelector(".layer-name").addEventListener("dblclick", (e) => this.renameLayer(obj, e.target))
+
+    const opacity = row.querySelector(".layer-opacity")
+    opacity.addEventListener("input", () => {
+      obj.set("opacity", Number(opacity.value) / 100)
+      this.canvas.requestRenderAll()
+      this.updateMugTextureLive()
+    })
+    opacity.addEventListener("change", () => {
+      this.saveHistory("Change opacity")
+      this.scheduleLayerThumbnails()
+      this.debouncedUpdate()
+    })
+
+    row.addEventListener("dragstart", (e) => {
+      if (e.target.closest("input")) {
+        e.preventDefault()
+        return
+      }
+      this.draggedLayer = obj
+      e.dataTransfer.effectAllowed = "move"
+      e.dataTransfer.setData("application/x-layer", "")
+      row.classList.add("dragging")
+    })
+    row.addEventListener("dragend", () => {
+      this.draggedLayer = null
+      row.classList.remove("dragging")
+    })
+    const dropAbove = (e) => {
+      const rect = row.getBoundingClientRect()
+      // Nothing goes underneath the background pattern
+      return obj.patternImage || e.clientY < rect.top + rect.height / 2
+    }
+    row.addEventListener("dragover", (e) => {
+      if (!this.draggedLayer || this.draggedLayer === obj) return
+      e.preventDefault()
+      const above = dropAbove(e)
+      row.classList.toggle("drop-above", above)
+      row.classList.toggle("drop-below", !above)
+    })
+    row.addEventListener("dragleave", () => row.classList.remove("drop-above", "drop-below"))
+    row.addEventListener("drop", (e) => {
+      row.classList.remove("drop-above", "drop-below")
+      if (!this.draggedLayer || this.draggedLayer === obj) return
+      e.preventDefault()
+      this.moveLayer(this.draggedLayer, obj, dropAbove(e))
+    })
+    return row
+  }
+
+  handleLayerAction(obj, action) {
+    // Objects showing a CSV row stay as they are until the design is restored
+    if (this.batchOriginals.has(obj) && action !== "visibility") return
+    // A template's layout stays as designed
+    if (obj.layoutLocked) return
+    if (action === "visibility") {
+      obj.set("visible", !obj.visible)
+      if (!obj.visible && this.canvas.getActiveObjects().includes(obj)) this.canvas.discardActiveObject()
+      this.canvas.requestRenderAll()
+      this.saveHistory(obj.visible ? "Show layer" : "Hide layer")
+    } else if (action === "lock" && obj.patternImage) {
+      this.setPatternMovable(!this.patternMovable)
+      this.saveHistory(this.patternMovable ? "Unlock pattern" : "Lock pattern")
+    } else if (action === "lock") {
+      obj.set({
+        selectable: !obj.selectable,
+        evented: !obj.evented,
+        hasControls: !obj.hasControls,
+      })
+      this.canvas.renderAll()
+      this.saveHistory(obj.selectable ? "Unlock layer" : "Lock layer")
+    } else if (action === "duplicate") {
+      this.duplicateObject(obj)
+      return
+    } else if (action === "delete") {
+      this.deleteObject(obj)
+      return
+    }
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+  }
+
+  // With additive set the layer is toggled in or out of the current selection
+  selectLayer(obj, additive = false) {
+    if (!obj.visible || !obj.selectable || this.batchOriginals.has(obj)) return
+    let objects = [obj]
+    if (additive) {
+      const current = this.canvas.getActiveObjects().filter((active) => !active.patternImage)
+      objects = current.includes(obj) ? current.filter((active) => active !== obj) : [...current, obj]
+    }
+    this.selectObjects(objects)
+  }
+
+  renameLayer(obj, nameElement) {
+    const input = document.createElement("input")
+    input.type = "text"
+    input.className = "layer-rename"
+    input.value = nameElement.textContent
+    nameElement.replaceWith(input)
+    input.focus()
+    input.select()
+
+    let done = false
+    const finish = (commit) => {
+      if (done) return
+      done = true
+      input.replaceWith(nameElement)
+      const name = input.value.trim()
+      if (commit && name && name !== nameElement.textContent) {
+        obj.name = name
+        this.saveHistory("Rename layer")
+      }
+      this.updateLayersPanel()
+    }
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(true)
+      else if (e.key === "Escape") finish(false)
+    })
+    input.addEventListener("blur", () => finish(true))
+  }
+
+  // Rows are listed top-most first, so "above" a row means higher in the stacking order
+  moveLayer(obj, target, above) {
+    if (obj.layoutLocked) return
+    const objects = this.canvas.getObjects()
+    const from = objects.indexOf(obj)
+    const to = objects.indexOf(target)
+    // moveTo() takes the index once obj has been taken out of the list
+    const index = to + (above ? 1 : 0) - (from < to ? 1 : 0)
+    if (index === from) return
+
+    this.canvas.moveTo(obj, index)
+    this.canvas.requestRenderAll()
+    this.saveHistory("Reorder layers")
+    this.updateLayersPanel()
+    this.debouncedUpdate()
+  }
+
+  groupSelection() {
+    const selection = this.canvas.getActiveObject()
+    if (selection?.type !== "activeSelection") return
+    const members = selection.getObjects()
+    if (members.some((obj) => obj.patternImage || obj.layoutLocked)) return
+
+    // toGroup() adds the group on top; put it back where the top-most member was
+    const objects = this.canvas.getObjects()
+    const top = Math.max(...members.map((obj) => objects.indexOf(obj)))
+    const group = selection.toGroup()
+    this.canvas.moveTo(group, top - (members.length - 1))
+    this.canvas.requestRenderAll()
+    this.saveHistory("Group")
+    this.updateLayersPanel()
+    this.updateSelectionPanels()
+    this.debouncedUpdate()
+  }
+
+  ungroupSelection() {
+    const group = this.canvas.getActiveObject()
+    if (group?.type !== "group") return
+
+    const index = this.canvas.getObjects().indexOf(group)
+    const selection = group.toActiveSelection()
+    selection.getObjects().forEach((obj, i) => this.canvas.moveTo(obj, index + i))
+    this.canvas.requestRenderAll()
+    this.saveHistory("Ungroup")
+    this.updateLayersPanel()
+    this.updateSelectionPanels()
+    this.debouncedUpdate()
+  }
+
+  updateLayerSelection() {
+    const active = this.canvas.getActiveObjects()
+    this.getDesignObjects().forEach((obj) => {
+      this.layerRows.get(obj)?.classList.toggle("active", active.includes(obj))
+    })
+
+    const selection = this.canvas.getActiveObject()
+    document.getElementById("groupBtn").disabled =
+      selection?.type !== "activeSelection" || active.some((obj) => obj.patternImage || obj.layoutLocked)
+    document.getElementById("ungroupBtn").disabled = selection?.type !== "group"
+  }
+
+  // Thumbnails are redrawn at most once per frame, however many updates come in
+  scheduleLayerThumbnails() {
+    if (this.layerThumbnailFrame) return
+    this.layerThumbnailFrame = requestAnimationFrame(() => {
+      this.layerThumbnailFrame = null
+      this.getDesignObjects().forEach((obj) => {
+        const thumb = this.layerRows.get(obj)?.querySelector(".layer-thumb")
+        if (thumb) this.renderLayerThumbnail(obj, thumb)
+      })
+    })
+  }
+
+  // The safe-zone clip is positioned in canvas coordinates, so it is left off the thumbnail
+  renderLayerThumbnail(obj, thumb) {
+    const parts = obj.type === "group" ? [obj, ...obj.getObjects()] : [obj]
+    const clips = parts.map((part) => part.clipPath)
+    const { visible, opacity } = obj
+    parts.forEach((part) => Object.assign(part, { clipPath: null, dirty: true }))
+    Object.assign(obj, { visible: true, opacity: 1 })
+    try {
+      const { width, height } = obj.getBoundingRect(true, true)
+      const multiplier = LAYER_THUMBNAIL_SIZE / Math.max(width, height, 1)
+      const image = obj.toCanvasElement({ multiplier })
+      const ctx = thumb.getContext("2d")
+      ctx.clearRect(0, 0, thumb.width, thumb.height)
+      ctx.drawImage(image, (thumb.width - image.width) / 2, (thumb.height - image.height) / 2)
+    } finally {
+      parts.forEach((part, i) => Object.assign(part, { clipPath: clips[i], dirty: true }))
+      Object.assign(obj, { visible, opacity })
+    }
+  }
+
+  // Largest canvas of the given aspect ratio that fits the box, at most the default width
+  fitCanvasSize(aspectRatio, maxWidth, maxHeight) {
+    let width = Math.min(maxWidth, DEFAULT_CANVAS_WIDTH)
+    let height = width / aspectRatio
+
+    if (height > maxHeight) {
+      height = maxHeight
+      width = height * aspectRatio
+    }
+    return { width, height }
+  }
+
+  // Hidden surfaces are resized too, so switching to one shows it at the current size. The
+  // active surface goes last, leaving the panels showing its state.
+  updateCanvasSize(containerWidth, containerHeight) {
+    const hidden = Object.keys(this.surfaces).filter((id) => id !== this.surfaceId)
+    const ids = [...hidden, this.surfaceId]
+    ids.forEach((id) => {
+      this.withSurface(id, () => {
+        const { width, height } = this.fitCanvasSize(this.getAspectRatio(), containerWidth - 32, containerHeight - 32)
+        this.resizeCanvas(width, height)
+      })
+    })
+  }
+
+  resizeCanvas(width, height) {
+    this.canvas.setDimensions({ width, height })
+    this.layoutGuides()
+    const pattern = this.getPatternLayer()
+    if (pattern) this.layoutPatternLayer(pattern)
+    const background = this.getBackgroundLayer()
+    if (background) this.layoutBackgroundLayer(background)
+    this.refreshSafeClips()
+    this.canvas.renderAll()
+    this.updateLayersPanel()
+    this.updateSelectionDpi()
+    this.debouncedUpdate()
+  }
+
+  getAspectRatio() {
+    return this.profile.widthMm / this.profile.heightMm
+  }
+
+  getPixelsPerMm() {
+    return this.canvas.width / this.profile.widthMm
+  }
+
+  getBleedPx() {
+    return this.profile.bleedMm * this.getPixelsPerMm()
+  }
+
+  getSafeZone() {
+    const pxPerMm = this.getPixelsPerMm()
+    const { top, right, bottom, left } = this.profile.safeMm
+    return {
+      left: left * pxPerMm,
+      top: top * pxPerMm,
+      width: this.canvas.width - (left + right) * pxPerMm,
+      height: this.canvas.height - (top + bottom) * pxPerMm,
+    }
+  }
+
+  // In wrap mode artwork runs on across the seam, so the clip only keeps it off the top and
+  // bottom margins and reaches out into the bleed on both sides
+  createSafeClip() {
+    const zone = this.getSafeZone()
+    if (this.isWrapping()) {
+      const bleed = this.getBleedPx()
+      Object.assign(zone, { left: -bleed, width: this.canvas.width + bleed * 2 })
+    }
+    return new fabric.Rect({ ...zone, absolutePositioned: true })
+  }
+
+  isWrapping() {
+    return this.wrapMode && this.profile.wraps !== false
+  }
+
+  // Objects clipped to the old safe zone follow it when the canvas, profile or wrap mode changes
+  refreshSafeClips(objects = this.canvas.getObjects()) {
+    objects.forEach((obj) => {
+      // A filled image placeholder is masked by its frame instead
+      if (obj.clipPath?.absolutePositioned && !obj.excludeFromExport && !obj.placeholder) {
+        obj.clipPath = this.createSafeClip()
+        obj.dirty = true
+      }
+      if (obj.type === "group") this.refreshSafeClips(obj.getObjects())
+    })
+  }
+
+  layoutGuides() {
+    const { width, height } = this.canvas
+    const bleed = this.getBleedPx()
+
+    this.safeRect.set(this.getSafeZone())
+    this.bleedRect.set({
+      left: -bleed,
+      top: -bleed,
+      width: width + bleed * 2,
+      height: height + bleed * 2,
+    })
+
+    const zoneWidth = (this.profile.handleGapMm / 2) * this.getPixelsPerMm()
+    const [leftZone, rightZone] = this.handleZones
+    const [leftSeam, rightSeam] = this.seamLines
+    const [leftLabel, rightLabel] = this.handleLabels
+    leftZone.set({ left: 0, top: 0, width: zoneWidth, height })
+    rightZone.set({ left: width - zoneWidth, top: 0, width: zoneWidth, height })
+    leftSeam.set({ x1: 1, y1: 0, x2: 1, y2: height })
+    rightSeam.set({ x1: width - 1, y1: 0, x2: width - 1, y2: height })
+    leftLabel.set({ left: zoneWidth / 2, top: height / 2 })
+    rightLabel.set({ left: width - zoneWidth / 2, top: height / 2 })
+
+    this.getGuides().forEach((obj) => obj.setCoords())
+  }
+
+  createHatchTile() {
+    const tile = fabric.util.createCanvasElement()
+    tile.width = 8
+    tile.height = 8
+    const ctx = tile.getContext("2d")
+    ctx.fillStyle = "rgba(139, 92, 246, 0.08)"
+    ctx.fillRect(0, 0, 8, 8)
+    ctx.strokeStyle = "rgba(139, 92, 246, 0.35)"
+    ctx.beginPath()
+    ctx.moveTo(0, 8)
+    ctx.lineTo(8, 0)
+    ctx.stroke()
+    return tile
+  }
+
+  // Surfaces that do not wrap around have no seam to show
+  setHandleZoneVisible(visible) {
+    this.showHandleZone = visible
+    this.getHandleOverlay().forEach((obj) => obj.set({ visible: visible && this.profile.wraps !== false }))
+    document.getElementById("handleZoneToggle").classList.toggle("active", visible)
+    this.canvas.requestRenderAll()
+  }
+
+  setWrapMode(enabled) {
+    this.wrapMode = enabled
+    document.getElementById("wrapModeToggle").classList.toggle("active", enabled)
+    Object.keys(this.surfaces).forEach((id) => this.withSurface(id, () => this.refreshSafeClips()))
+    this.canvas.requestRenderAll()
+    this.debouncedUpdate()
+  }
+
+  // In wrap mode anything crossing the left or right edge is drawn again on the
+  // opposite side. Hooking _renderObjects covers the editor, the mug texture and exports;
+  // placeholder highlights go on top, in the editor only.
+  setupWrapRendering() {
+    const canvas = this.canvas
+    canvas._renderObjects = (ctx, objects) => {
+      objects.forEach((obj) => {
+        if (!obj) return
+        obj.render(ctx)
+        if (this.wrapMode && !obj.excludeFromExport) {
+          this.getWrapOffsets(obj).forEach((dx) => this.renderWrapCopy(ctx, obj, dx))
+        }
+      })
+      if (this.showPlaceholders && ctx === canvas.contextContainer) {
+        objects.filter((obj) => obj?.placeholder && obj.visible).forEach((obj) => this.drawPlaceholder(ctx, obj))
+      }
+    }
+  }
+
+  // Dashed outline around a placeholder (the frame, once a photo fills it), with a hint
+  // in image placeholders that are still empty
+  drawPlaceholder(ctx, obj) {
+    const frame = obj.clipPath?.absolutePositioned ? obj.clipPath : obj
+    const { left, top, width, height } = frame.getBoundingRect(true, true)
+    ctx.save()
+    ctx.strokeStyle = PLACEHOLDER_COLOR
+    ctx.lineWidth = 1.5
+    ctx.setLineDash([6, 4])
+    ctx.strokeRect(left - 3, top - 3, width + 6, height + 6)
+    if (obj.placeholder === "image" && obj.type !== "image") {
+      ctx.fillStyle = PLACEHOLDER_COLOR
+      ctx.font = "600 11px Inter"
+      ctx.textAlign = "center"
+      ctx.textBaseline = "middle"
+      ctx.fillText("Drop a photo", left + width / 2, top + height / 2)
+    }
+    ctx.restore()
+  }
+
+  setPlaceholdersVisible(visible) {
+    this.showPlaceholders = visible
+    document.getElementById("placeholderToggle").classList.toggle("active", visible)
+    this.canvas.requestRenderAll()
+  }
+
+  getWrapOffsets(obj) {
+    // A tiled pattern or a background already runs across the seam
+    if (obj.patternSettings || obj.backgroundSettings || this.profile.wraps === false) return []
+    const bounds = this.getAbsoluteBounds(obj)
+    const offsets = []
+    if (bounds.left < 0) offsets.push(this.canvas.width)
+    if (bounds.left + bounds.width > this.canvas.width) offsets.push(-this.canvas.width)
+    return offsets
+  }
+
+  getAbsoluteBounds(obj) {
+    const matrix = obj.calcTransformMatrix()
+    const { x: w, y: h } = obj._getNonTransformedDimensions()
+    const corners = [
+      { x: -w / 2, y: -h / 2 },
+      { x: w / 2, y: -h / 2 },
+      { x: w / 2, y: h / 2 },
+      { x: -w / 2, y: h / 2 },
+    ]
+    return fabric.util.makeBoundingBoxFromPoints(corners.map((point) => fabric.util.transformPoint(point, matrix)))
+  }
+
+  // The copy is shifted by dx but an absolute clip path must stay where it is
+  renderWrapCopy(ctx, obj, dx) {
+    const clipPath = obj.clipPath?.absolutePositioned ? obj.clipPath : null
+    if (clipPath) clipPath.left -= dx
+    ctx.save()
+    ctx.translate(dx, 0)
+    obj.render(ctx)
+    ctx.restore()
+    if (clipPath) clipPath.left += dx
+  }
+
+  setProfile(profileId) {
+    const profile = PRINT_PROFILES[profileId]
+    if (!profile) return
+    this.profileId = profileId
+    this.profile = profile
+    Object.assign(this.surfaces[this.surfaceId], { profileId, profile })
+
+    if (this.surfaceId === "outside") {
+      document.getElementById("profileSelect").value = profileId
+      const dpiSelect = document.getElementById("exportDpi")
+      if ([...dpiSelect.options].some((option) => Number(option.value) === profile.dpi)) {
+        dpiSelect.value = String(profile.dpi)
+      }
+    }
+
+    this.resizeCanvas(this.canvas.width, this.canvas.width / this.getAspectRatio())
+  }
+
+  // Lines a moving object can snap to: the edges and centres of the canvas, the safe zone and
+  // every other visible layer. Frame lines come from the canvas and safe zone.
+  getSnapLines(exclude) {
+    const lines = { x: [], y: [] }
+    const addBox = (rect, frame) => {
+      const { left, top, width, height } = rect
+      lines.x.push(...[left, left + width / 2, left + width].map((value) => ({ value, rect, frame })))
+      lines.y.push(...[top, top + height / 2, top + height].map((value) => ({ value, rect, frame })))
+    }
+    addBox({ left: 0, top: 0, width: this.canvas.width, height: this.canvas.height }, true)
+    addBox(this.getSafeZone(), true)
+    this.getDesignObjects().forEach((obj) => {
+      if (obj.visible && !obj.patternImage && !exclude.includes(obj)) addBox(obj.getBoundingRect(true, true), false)
+    })
+    return lines
+  }
+
+  snapToGuides(target) {
+    target.setCoords()
+    const rect = target.getBoundingRect(true, true)
+    const moving = target.type === "activeSelection" ? target.getObjects() : []
+    const lines = this.getSnapLines([target, ...moving])
+    const threshold = SNAP_DISTANCE / this.canvas.getZoom()
+
+    const snap = (axis, start, size) => {
+      const edges = [start, start + size / 2, start + size]
+      let best = 0
+      edges.forEach((edge) => {
+        lines[axis].forEach(({ value }) => {
+          const delta = value - edge
+          if (Math.abs(delta) < threshold && (!best || Math.abs(delta) < Math.abs(best))) best = delta
+        })
+      })
+      return best
+    }
+    const dx = snap("x", rect.left, rect.width)
+    const dy = snap("y", rect.top, rect.height)
+    if (dx || dy) {
+      target.set({ left: target.left + dx, top: target.top + dy })
+      target.setCoords()
+    }
+
+    const snapped = { ...rect, left: rect.left + dx, top: rect.top + dy }
+    this.smartGuides = [...this.getGuideLines("x", snapped, lines.x), ...this.getGuideLines("y", snapped, lines.y)]
+  }
+
+  // A guide runs along every line the object now touches, across both boxes. Guides to
+  // another layer are labelled with the gap between the two when they don't overlap.
+  getGuideLines(axis, rect, lines) {
+    const [start, size] = axis === "x" ? ["left", "width"] : ["top", "height"]
+    const [crossStart, crossSize] = axis === "x" ? ["top", "height"] : ["left", "width"]
+    const edges = [rect[start], rect[start] + rect[size] / 2, rect[start] + rect[size]]
+    const rectEnd = rect[crossStart] + rect[crossSize]
+
+    return lines
+      .filter(({ value }) => edges.some((edge) => Math.abs(edge - value) < 0.5))
+      .map(({ value, rect: other, frame }) => {
+        const otherEnd = other[crossStart] + other[crossSize]
+        let gap = null
+        if (!frame && rect[crossStart] >= otherEnd) gap = { from: otherEnd, to: rect[crossStart] }
+        if (!frame && other[crossStart] >= rectEnd) gap = { from: rectEnd, to: other[crossStart] }
+        return {
+          axis,
+          value,
+          from: Math.min(rect[crossStart], other[crossStart]),
+          to: Math.max(rectEnd, otherEnd),
+          gap,
+        }
+      })
+  }
+
+  clearSmartGuides() {
+    if (!this.smartGuides.length) return
+    this.smartGuides = []
+    this.canvas.requestRenderAll()
+  }
+
+  // Guides go on the upper canvas so they are never part of the design or its exports
+  drawSmartGuides() {
+    if (!this.smartGuides.length) return
+    const ctx = this.canvas.contextTop
+    ctx.save()
+    ctx.transform(...this.canvas.viewportTransform)
+    ctx.strokeStyle = GUIDE_COLOR
+    ctx.lineWidth = 1
+    ctx.font = "600 10px Inter"
+    ctx.textAlign = "center"
+    ctx.textBaseline = "middle"
+
+    this.smartGuides.forEach(({ axis, value, from, to, gap }) => {
+      ctx.beginPath()
+      if (axis === "x") {
+        ctx.moveTo(value, from)
+        ctx.lineTo(value, to)
+      } else {
+        ctx.moveTo(from, value)
+        ctx.lineTo(to, value)
+      }
+      ctx.stroke()
+      if (!gap) return
+
+      const label = `${((gap.to - gap.from) / this.getPixelsPerMm()).toFixed(1)} mm`
+      const mid = (gap.from + gap.to) / 2
+      const [x, y] = axis === "x" ? [value, mid] : [mid, value]
+      const width = ctx.measureText(label).width + 8
+      ctx.fillStyle = GUIDE_COLOR
+      ctx.fillRect(x - width / 2, y - 8, width, 16)
+      ctx.fillStyle = "#fff"
+      ctx.fillText(label, x, y)
+    })
+    ctx.restore()
+    this.guidesDrawn = true
+  }
+
+  selectObjects(objects) {
+    this.canvas.discardActiveObject()
+    if (objects.length > 1) {
+      this.canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas: this.canvas }))
+    } else if (objects.length === 1) {
+      this.canvas.setActiveObject(objects[0])
+    }
+    this.canvas.requestRenderAll()
+  }
+
+  // Members of a multi-selection are positioned relative to it, so arranging works on
+  // the objects released from the selection and reselects them afterwards
+  releaseSelection() {
+    const objects = this.canvas.getActiveObjects()
+    this.canvas.discardActiveObject()
+    return objects
+  }
+
+  getObjectsBounds(objects) {
+    const rects = objects.map((obj) => obj.getBoundingRect(true, true))
+    const left = Math.min(...rects.map((rect) => rect.left))
+    const top = Math.min(...rects.map((rect) => rect.top))
+    const right = Math.max(...rects.map((rect) => rect.left + rect.width))
+    const bottom = Math.max(...rects.map((rect) => rect.top + rect.height))
+    return { left, top, width: right - left, height: bottom - top }
+  }
+
+  shiftObject(obj, axis, delta) {
+    if (obj.layoutLocked) return
+    const prop = axis === "x" ? "left" : "top"
+    obj.set(prop, obj[prop] + delta)
+    obj.setCoords()
+  }
+
+  // A single object is aligned within the safe zone, several against their combined bounds
+  alignObjects(alignment) {
+    const { axis, at, label } = ALIGNMENTS[alignment]
+    const objects = this.releaseSelection()
+    if (!objects.length) return
+
+    const [start, size] = axis === "x" ? ["left", "width"] : ["top", "height"]
+    const bounds = objects.length > 1 ? this.getObjectsBounds(objects) : this.getSafeZone()
+    objects.forEach((obj) => {
+      const rect = obj.getBoundingRect(true, true)
+      this.shiftObject(obj, axis, bounds[start] + at * bounds[size] - (rect[start] + at * rect[size]))
+    })
+    this.finishArrange(objects, label)
+  }
+
+  // Keeps the outermost objects in place and makes the gaps between neighbours equal
+  distributeObjects(axis) {
+    const objects = this.releaseSelection()
+    if (objects.length < 3) {
+      this.selectObjects(objects)
+      return
+    }
+
+    const [start, size] = axis === "x" ? ["left", "width"] : ["top", "height"]
+    const items = objects
+      .map((obj) => ({ obj, rect: obj.getBoundingRect(true, true) }))
+      .sort((a, b) => a.rect[start] + a.rect[size] / 2 - (b.rect[start] + b.rect[size] / 2))
+    const first = items[0].rect
+    const last = items[items.length - 1].rect
+    const occupied = items.reduce((sum, { rect }) => sum + rect[size], 0)
+    const gap = (last[start] + last[size] - first[start] - occupied) / (items.length - 1)
+
+    let position = first[start]
+    items.forEach(({ obj, rect }) => {
+      this.shiftObject(obj, axis, position - rect[start])
+      position += rect[size] + gap
+    })
+    this.finishArrange(objects, axis === "x" ? "Distribute horizontally" : "Distribute vertically")
+  }
+
+  centerInSafeZone() {
+    const objects = this.releaseSelection()
+    if (!objects.length) return
+
+    const bounds = this.getObjectsBounds(objects)
+    const safe = this.getSafeZone()
+    const dx = safe.left + safe.width / 2 - (bounds.left + bounds.width / 2)
+    const dy = safe.top + safe.height / 2 - (bounds.top + bounds.height / 2)
+    objects.forEach((obj) => {
+      this.shiftObject(obj, "x", dx)
+      this.shiftObject(obj, "y", dy)
+    })
+    this.finishArrange(objects, "Centre in safe zone")
+  }
+
+  finishArrange(objects, label) {
+    this.selectObjects(objects)
+    this.canvas.renderAll()
+    this.saveHistory(label)
+    this.updateSelectionDpi()
+    this.debouncedUpdate()
+  }
+
+  updateArrangePanel() {
+    const count = this.canvas.getActiveObjects().length
+    document.querySelectorAll("#arrangePanel [data-align], #centerSafeBtn").forEach((button) => {
+      button.disabled = count === 0
+    })
+    document.querySelectorAll("#arrangePanel [data-distribute]").forEach((button) => {
+      button.disabled = count < 3
+    })
+  }
+
+  checkBounds(obj) {
+    if (!obj) return
+
+    const bounds = obj.getBoundingRect(true)
+    const safe = this.safeRect.getBoundingRect(true)
+    const bleed = this.bleedRect.getBoundingRect(true)
+
+    if (
+      bounds.left < bleed.left ||
+      bounds.left + bounds.width > bleed.left + bleed.width ||
+      bounds.top < bleed.top ||
+      bounds.top + bounds.height > bleed.top + bleed.height
+    ) {
+      console.warn("⚠ Element is outside the safe printing area!")
+    }
+
+    // Text in wrap mode may cross the left and right edges, its copy carrying on from the other side
+    if (this.isText(obj)) {
+      const wrapping = this.isWrapping()
+      let objWidth = obj.width * obj.scaleX
+      let objHeight = obj.height * obj.scaleY
+
+      const maxWidth = safe.width
+      const maxHeight = safe.height
+
+      if (objWidth > maxWidth && !wrapping) {
+        obj.scaleX = maxWidth / obj.width
+        objWidth = maxWidth
+      }
+      if (objHeight > maxHeight) {
+        obj.scaleY = maxHeight / obj.height
+        objHeight = maxHeight
+      }
+
+      const objHalfW = objWidth / 2
+      const objHalfH = objHeight / 2
+
+      const minX = safe.left + objHalfW
+      const maxX = safe.left + safe.width - objHalfW
+      const minY = safe.top + objHalfH
+      const maxY = safe.top + safe.height - objHalfH
+
+      if (!wrapping) {
+        if (obj.left < minX) obj.left = minX
+        if (obj.left > maxX) obj.left = maxX
+      }
+      if (obj.top < minY) obj.top = minY
+      if (obj.top > maxY) obj.top = maxY
+    }
+  }
+
+  showModal(message) {
+    const modal = document.getElementById("warningModal")
+    const messageEl = document.getElementById("warningMessage")
+    messageEl.textContent = message
+    modal.style.display = "block"
+
+    setTimeout(() => {
+      modal.style.display = "none"
+    }, 3000)
+  }
+
+  // Events only reach the canvas of the active surface, which is this.canvas by then
+  setupCanvasEvents(canvas) {
+    // Holding Alt moves freely without snapping
+    canvas.on("object:moving", ({ target, e }) => {
+      if (target.patternSettings) {
+        this.dragPattern(target)
+        return
+      }
+      if (this.smartGuidesEnabled && !e?.altKey) this.snapToGuides(target)
+      else this.smartGuides = []
+      this.checkBounds(target)
+      this.updateSelectionDpi()
+    })
+
+    canvas.on("object:scaling", ({ target }) => {
+      this.checkBounds(target)
+      this.updateDpiIndicators()
+    })
+
+    canvas.on("object:rotating", () => this.updateSelectionDpi())
+
+    canvas.on("before:render", () => {
+      if (!this.guidesDrawn) return
+      this.canvas.clearContext(this.canvas.contextTop)
+      this.guidesDrawn = false
+    })
+    canvas.on("after:render", () => this.drawSmartGuides())
+    canvas.on("mouse:up", () => this.clearSmartGuides())
+
+    canvas.on("object:modified", ({ target, action }) => {
+      this.smartGuides = []
+      this.patternDragStart = null
+      this.checkBounds(target)
+      target.setCoords()
+      this.canvas.renderAll()
+      this.updateSelectionDpi()
+      // Text edits also end in object:modified, just without a transform action
+      this.saveHistory(HISTORY_ACTION_LABELS[action] || (this.isText(target) ? "Edit text" : "Edit"))
+      this.updateLayersPanel()
+      this.debouncedUpdate()
+    })
+
+    // History is committed by the action that adds or removes objects, so these
+    // only keep the UI in sync (they also fire while a design is being loaded)
+    canvas.on("object:added", () => {
+      this.updateLayersPanel()
+      this.updatePatternPanel()
+      this.updateBackgroundPanel()
+      this.debouncedUpdate()
+    })
+
+    canvas.on("object:removed", () => {
+      this.canvas.discardActiveObject()
+      this.canvas.requestRenderAll()
+      this.updateLayersPanel()
+      this.updatePatternPanel()
+      this.updateBackgroundPanel()
+      this.debouncedUpdate()
+    })
+
+    canvas.on("selection:created", () => this.updateSelectionPanels())
+    canvas.on("selection:updated", () => this.updateSelectionPanels())
+    canvas.on("selection:cleared", () => this.updateSelectionPanels())
+
+    // Typing on the canvas keeps the text toolbar's content field in step
+    canvas.on("text:changed", () => this.updateTextToolbar())
+
+    // Double-clicking an image placeholder picks a photo for it
+    canvas.on("mouse:dblclick", ({ target }) => {
+      if (target?.placeholder === "image") document.getElementById("imageInput").click()
+    })
+  }
+
+  setupEventListeners() {
+    this.debouncedUpdate = this.debounce(() => this.updateMugTexture(), DEBOUNCE_TIME)
+
+    // Canvas events
+    Object.values(this.surfaces).forEach(({ canvas }) => this.setupCanvasEvents(canvas))
+
+    // Image adjustments: "input" previews live, "change" commits a history step
+    const adjustmentsPanel = document.getElementById("adjustmentsPanel")
+    adjustmentsPanel.addEventListener("input", (e) => {
+      const img = this.getSelectedImage()
+      if (!img || !e.target.dataset.adjust) return
+      const adjustments = this.readAdjustmentsPanel()
+      this.setImageAdjustments(img, adjustments)
+      this.updateAdjustmentLabels(adjustments)
+      this.canvas.requestRenderAll()
+      this.updateMugTextureLive()
+    })
+    adjustmentsPanel.addEventListener("change", (e) => {
+      if (!this.getSelectedImage() || !e.target.dataset.adjust) return
+      this.saveHistory("Adjust image")
+      this.debouncedUpdate()
+    })
+    document.getElementById("resetAdjustmentsBtn").addEventListener("click", () => {
+      const img = this.getSelectedImage()
+      if (!img) return
+      this.setImageAdjustments(img, { ...DEFAULT_ADJUSTMENTS })
+      this.updateAdjustmentsPanel()
+      this.canvas.requestRenderAll()
+      this.saveHistory("Reset adjustments")
+      this.debouncedUpdate()
+    })
+
+    // Custom fonts
+    const fontInput = document.getElementById("fontInput")
+    document.getElementById("uploadFontBtn").addEventListener("click", () => fontInput.click())
+    fontInput.addEventListener("change", async (e) => {
+      const [file] = e.target.files
+      if (file) await this.uploadFont(file)
+      fontInput.value = ""
+    })
+
+    // Text functionality
+    document.getElementById("addTextConfirm").addEventListener("click", () => {
+      this.addText(document.getElementById("textInput").value || "Sample Text")
+
+      // Close text panel
+      document.getElementById("textPanel").classList.remove("active")
+      document.getElementById("addTextBtn").classList.remove("active")
+    })
+
+    // Image upload
+    const imageInput = document.getElementById("imageInput")
+    imageInput.addEventListener("change", async (e) => {
+      const file = e.target.files[0]
+      if (file) {
+        await this.handleImageUpload(file)
+      }
+    })
+
+    // Mug colours apply to the part picked in the colours panel
+    document.querySelectorAll(".color-swatch").forEach((swatch) => {
+      swatch.addEventListener("click", (e) => {
+        this.setMugPart(this.activeMugPart, { color: e.target.dataset.color })
+        this.saveHistory("Change mug colour")
+      })
+    })
+    const mugColorPicker = document.getElementById("mugColorPicker")
+    mugColorPicker.addEventListener("input", () => this.setMugPart(this.activeMugPart, { color: mugColorPicker.value }))
+    mugColorPicker.addEventListener("change", () => this.saveHistory("Change mug colour"))
+    document.getElementById("resetMugPartBtn").addEventListener("click", () => {
+      this.setMugPart(this.activeMugPart, { color: null, finish: null })
+      this.saveHistory("Reset mug colour")
+    })
+
+    // Patterns
+    const patternsPanel = document.getElementById("patternsPanel")
+    const readPatternInput = (input) => ({
+      [input.dataset.pattern]: input.type === "range" ? Number(input.value) : input.value,
+    })
+    patternsPanel.addEventListener("input", (e) => {
+      if (e.target.dataset.pattern) this.setPatternSettings(readPatternInput(e.target))
+    })
+    patternsPanel.addEventListener("change", (e) => {
+      if (e.target.dataset.pattern) this.setPatternSettings(readPatternInput(e.target), { commit: true })
+    })
+    const patternInput = document.getElementById("patternInput")
+    document.getElementById("uploadPatternBtn").addEventListener("click", () => patternInput.click())
+    patternInput.addEventListener("change", async (e) => {
+      const [file] = e.target.files
+      if (file) await this.uploadPatternTile(file)
+      patternInput.value = ""
+    })
+    document.getElementById("removePatternBtn").addEventListener("click", () => {
+      const layer = this.getPatternLayer()
+      if (layer) this.deleteObject(layer)
+    })
+
+    // Mockup
+    const mockupBackground = document.getElementById("mockupBackground")
+    Object.entries(MOCKUP_BACKGROUNDS).forEach(([id, background]) => {
+      mockupBackground.add(new Option(background.name, id))
+    })
+    mockupBackground.value = this.mockupBackground
+    mockupBackground.addEventListener("change", (e) => this.setMockupBackground(e.target.value))
+    document.getElementById("mockupToggle").addEventListener("click", () => this.setMockupMode(!this.mockupMode))
+    document.getElementById("turntableToggle").addEventListener("click", () => this.setTurntable(!this.turntable))
+    const turntableSpeed = document.getElementById("turntableSpeed")
+    turntableSpeed.value = this.turntableSpeed
+    turntableSpeed.addEventListener("change", (e) => (this.turntableSpeed = Number(e.target.value)))
+
+    document.getElementById("exportMockupBtn").addEventListener("click", async () => {
+      const views = [...document.querySelectorAll(".mockup-view:checked")].map((input) => input.value)
+      if (!views.length) {
+        this.showModal("⚠ Choose at least one view to export.")
+        return
+      }
+      try {
+        await this.exportMockups({
+          size: Number(document.getElementById("mockupSize").value),
+          views,
+          transparent: document.getElementById("mockupTransparent").checked,
+        })
+      } catch (error) {
+        console.error("Error exporting mockup:", error)
+        this.showModal("⚠ Mockup export failed. Please try again.")
+      }
+    })
+
+    document.getElementById("exportTurntableBtn").addEventListener("click", async () => {
+      const length = document.getElementById("turntableDuration").value
+      try {
+        await this.exportTurntable({
+          format: document.getElementById("turntableFormat").value,
+          duration: Number(length),
+          fullTurn: length === "turn",
+          size: Number(document.getElementById("turntableSize").value),
+          fps: Number(document.getElementById("turntableFps").value),
+          speed: this.turntableSpeed,
+        })
+      } catch (error) {
+        console.error("Error recording turntable:", error)
+        this.showModal("⚠ Turntable recording failed. Please try again.")
+      }
+    })
+
+    // Control buttons
+    document.getElementById("headerExportBtn").addEventListener("click", () => {
+      document.getElementById("exportBtn").click()
+    })
+
+    document.getElementById("exportFormat").addEventListener("change", (e) => {
+      document.getElementById("pdfOptions").hidden = e.target.value !== "pdf"
+      document.getElementById("svgOptions").hidden = e.target.value !== "svg"
+      document.getElementById("exportDpiGroup").hidden = e.target.value === "svg"
+    })
+
+    // Batch personalisation
+    document.getElementById("exportBtn").addEventListener("click", () => this.renderBatchBindings())
+    const batchCsvInput = document.getElementById("batchCsvInput")
+    document.getElementById("batchCsvBtn").addEventListener("click", () => batchCsvInput.click())
+    batchCsvInput.addEventListener("change", async (e) => {
+      const [file] = e.target.files
+      e.target.value = ""
+      if (!file) return
+      try {
+        await this.loadBatchCsv(file)
+      } catch (error) {
+        console.error("Error reading CSV:", error)
+        this.showModal("⚠ This CSV file could not be read.")
+      }
+    })
+    const batchPhotosInput = document.getElementById("batchPhotosInput")
+    document.getElementById("batchPhotosBtn").addEventListener("click", () => batchPhotosInput.click())
+    batchPhotosInput.addEventListener("change", async (e) => {
+      const files = [...e.target.files]
+      e.target.value = ""
+      await this.addBatchPhotos(files)
+    })
+    document.getElementById("batchPrevBtn").addEventListener("click", () => {
+      this.previewBatchRow(this.batchRow === null ? -1 : this.batchRow - 1)
+    })
+    document.getElementById("batchNextBtn").addEventListener("click", () => {
+      this.previewBatchRow(this.batchRow === null ? 0 : this.batchRow + 1)
+    })
+    document.getElementById("batchResetBtn").addEventListener("click", () => {
+      this.batchTask = this.batchTask.then(() => this.restoreBatchDesign())
+    })
+    const exportBatchBtn = document.getElementById("exportBatchBtn")
+    exportBatchBtn.addEventListener("click", async () => {
+      const label = exportBatchBtn.innerHTML
+      exportBatchBtn.disabled = true
+      try {
+        await this.batchTask
+        await this.exportBatch((index, total) => {
+          exportBatchBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Row ${index + 1} of ${total}`
+        })
+      } catch (error) {
+        console.error("Error exporting batch:", error)
+        this.showModal(`⚠ Batch export failed. ${error.message}`)
+      } finally {
+        exportBatchBtn.innerHTML = label
+        this.updateBatchPanel()
+      }
+    })
+
+    document.getElementById("exportDownloadBtn").addEventListener("click", async () => {
+      try {
+        // Every surface with a design is a print file of its own
+        for (const id of this.getPrintSurfaces()) {
+          const { blob, filename } = await this.createSurfacePrintFile(id, this.getExportOptions())
+          this.downloadBlob(blob, filename)
+        }
+      } catch (error) {
+        console.error("Error exporting design:", error)
+        this.showModal(`⚠ Export failed. ${error.message}`)
+      }
+    })
+
+    document.getElementById("resetBtn").addEventListener("click", () => {
+      if (confirm("Are you sure you want to reset the design? This action cannot be undone.")) {
+        this.resetDesign()
+      }
+    })
+
+    document.getElementById("undoBtn").addEventListener("click", () => this.undo())
+    document.getElementById("redoBtn").addEventListener("click", () => this.redo())
+
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      if (e.target.closest("input, textarea, select, [contenteditable]")) return
+      if (this.canvas.getActiveObject()?.isEditing) return
+
+      const key = e.key.toLowerCase()
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault()
+        this.undo()
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault()
+        this.redo()
+      } else if (key === "g") {
+        e.preventDefault()
+        if (e.shiftKey) this.ungroupSelection()
+        else this.groupSelection()
+      }
+    })
+
+    // Arrange panel
+    const arrangePanel = document.getElementById("arrangePanel")
+    arrangePanel.addEventListener("click", (e) => {
+      const button = e.target.closest("button")
+      if (!button || button.disabled) return
+      if (button.dataset.align) this.alignObjects(button.dataset.align)
+      else if (button.dataset.distribute) this.distributeObjects(button.dataset.distribute)
+    })
+    document.getElementById("centerSafeBtn").addEventListener("click", () => this.centerInSafeZone())
+    document.getElementById("smartGuidesToggle").addEventListener("change", (e) => {
+      this.smartGuidesEnabled = e.target.checked
+    })
+
+    document.getElementById("groupBtn").addEventListener("click", () => this.groupSelection())
+    document.getElementById("ungroupBtn").addEventListener("click", () => this.ungroupSelection())
+
+    document.getElementById("togglePatternBtn").addEventListener("click", () => {
+      this.setPatternMovable(!this.patternMovable)
+      this.saveHistory(this.patternMovable ? "Unlock pattern" : "Lock pattern")
+    })
+
+    // Handle zone overlay, placeholder highlights and wrap mode
+    document.getElementById("handleZoneToggle").addEventListener("click", () => {
+      this.setHandleZoneVisible(!this.showHandleZone)
+    })
+    document.getElementById("placeholderToggle").addEventListener("click", () => {
+      this.setPlaceholdersVisible(!this.showPlaceholders)
+    })
+    document.getElementById("wrapModeToggle").addEventListener("click", () => {
+      this.setWrapMode(!this.wrapMode)
+      this.saveHistory(this.wrapMode ? "Enable wrap mode" : "Disable wrap mode")
+    })
+
+    // Product
+    const productSelect = document.getElementById("productSelect")
+    Object.entries(PRODUCTS).forEach(([id, product]) => {
+      productSelect.add(new Option(product.name, id))
+    })
+    productSelect.value = this.productId
+    productSelect.addEventListener("change", (e) => {
+      this.setProduct(e.target.value)
+      this.saveHistory("Change product")
+    })
+
+    // Print profile
+    const profileSelect = document.getElementById("profileSelect")
+    Object.entries(PRINT_PROFILES).forEach(([id, profile]) => {
+      if (!profile.surface) profileSelect.add(new Option(profile.name, id))
+    })
+    profileSelect.value = this.profileId
+    profileSelect.addEventListener("change", (e) => {
+      this.withSurface("outside", () => this.setProfile(e.target.value))
+      this.saveHistory("Change print profile")
+    })
+
+    // Projects
+    document.getElementById("saveBtn").addEventListener("click", () => this.saveProject())
+    document.getElementById("saveAsBtn").addEventListener("click", () => this.saveProject({ asNew: true }))
+    document.getElementById("myDesignsBtn").addEventListener("click", () => this.openProjectsBrowser())
+    document.querySelector("#projectsModal .close-btn").addEventListener("click", () => {
+      document.getElementById("projectsModal").style.display = "none"
+    })
+
+    // Templates
+    document.getElementById("templatesLink").addEventListener("click", (e) => {
+      e.preventDefault()
+      this.openTemplatesBrowser()
+    })
+    document.querySelector("#templatesModal .close-btn").addEventListener("click", () => {
+      document.getElementById("templatesModal").style.display = "none"
+    })
+
+    // Modal close
+    document.querySelector("#warningModal .close-btn").addEventListener("click", () => {
+      document.getElementById("warningModal").style.display = "none"
+    })
+
+    // Splitter functionality
+    this.setupSplitter()
+
+    // Direct manipulation on the 3D preview
+    this.setupMugInteraction()
+
+    // Files dropped on the design canvas land where they were dropped
+    const canvasWrapper = document.querySelector(".canvas-container .canvas-wrapper")
+    canvasWrapper.addEventListener("dragover", (e) => {
+      e.preventDefault()
+      e.dataTransfer.dropEffect = "copy"
+    })
+    canvasWrapper.addEventListener("drop", async (e) => {
+      e.preventDefault()
+      const [file] = e.dataTransfer.files
+      const point = this.canvas.getPointer(e)
+      const onCanvas = point.x >= 0 && point.y >= 0 && point.x <= this.canvas.width && point.y <= this.canvas.height
+      if (file) await this.handleImageUpload(file, onCanvas ? point : null)
+    })
+
+    // Contextual text toolbar
+    this.setupTextToolbar()
+
+    this.setupShapesPanel()
+    this.setupMugPartsPanel()
+    this.setupBackgroundPanel()
+    this.setupSurfaceTabs()
+    this.renderPatternGrid()
+
+    // Window resize
+    window.addEventListener("resize", () => {
+      const width = this.container.clientWidth
+      const height = this.container.clientHeight
+      this.camera.aspect = width / height
+      this.camera.updateProjectionMatrix()
+      this.renderer.setSize(width, height)
+
+      const canvasContainer = document.querySelector(".canvas-container .canvas-wrapper")
+      this.updateCanvasSize(canvasContainer.clientWidth, canvasContainer.clientHeight)
+    })
+  }
+
+  setupSplitter() {
+    const splitter = document.querySelector(".splitter")
+    const handle = document.querySelector(".splitter-handle")
+    const modelContainer = document.querySelector(".model-container")
+    const canvasContainer = document.querySelector(".canvas-container")
+    const splitContainer = document.querySelector(".split-container")
+
+    let isDragging = false
+
+    const startDrag = (e) => {
+      isDragging = true
+      e.preventDefault()
+      document.body.style.cursor = "col-resize"
+      document.body.style.userSelect = "none"
+    }
+
+    const drag = (e) => {
+      if (!isDragging) return
+
+      const containerRect = splitContainer.getBoundingClientRect()
+      const x = e.clientX - containerRect.left
+      const minWidth = 300
+      const splitterWidth = splitter.offsetWidth
+      const maxWidth = containerRect.width - minWidth - splitterWidth
+
+      const modelWidth = Math.max(minWidth, Math.min(x, maxWidth))
+      const canvasWidth = containerRect.width - modelWidth - splitterWidth
+
+      modelContainer.style.flex = `0 0 ${modelWidth}px`
+      canvasContainer.style.flex = `0 0 ${canvasWidth}px`
+
+      // Update 3D renderer
+      this.renderer.setSize(modelContainer.clientWidth, modelContainer.clientHeight)
+      this.camera.aspect = modelContainer.clientWidth / modelContainer.clientHeight
+      this.camera.updateProjectionMatrix()
+
+      // Update canvas
+      const canvasWrapper = canvasContainer.querySelector(".canvas-wrapper")
+      this.updateCanvasSize(canvasWrapper.clientWidth, canvasWrapper.clientHeight)
+    }
+
+    const stopDrag = () => {
+      isDragging = false
+      document.body.style.cursor = ""
+      document.body.style.userSelect = ""
+    }
+
+    handle.addEventListener("mousedown", startDrag)
+    splitter.addEventListener("mousedown", startDrag)
+    document.addEventListener("mousemove", drag)
+    document.addEventListener("mouseup", stopDrag)
+
+    // Touch events for mobile
+    handle.addEventListener("touchstart", (e) => startDrag(e.touches[0]))
+    document.addEventListener("touchmove", (e) => {
+      if (isDragging) drag(e.touches[0])
+    })
+    document.addEventListener("touchend", stopDrag)
+  }
+
+  resetDesign() {
+    this.batchOriginals.clear()
+    this.batchRow = null
+    Object.keys(this.surfaces).forEach((id) => {
+      this.withSurface(id, () => {
+        this.canvas.clear()
+        this.canvas.backgroundColor = "white"
+
+        this.restoreGuides()
+        this.layoutGuides()
+      })
+
+      // Reset mug texture
+      const mesh = this.getSurfaceMesh(id)
+      if (mesh) {
+        if (mesh.material.map) mesh.material.map.dispose()
+        mesh.material.map = null
+        mesh.material.needsUpdate = true
+      }
+    })
+
+    this.history.reset("New design", this.serializeDesign())
+    this.updateLayersPanel()
+    this.renderBatchBindings()
+    this.canvas.renderAll()
+    this.debouncedUpdate()
+  }
+
+  getPatternLayer() {
+    return this.canvas.getObjects().find((obj) => obj.patternImage) || null
+  }
+
+  // The grid lists the catalogue followed by the tiles uploaded this session
+  renderPatternGrid() {
+    const grid = document.getElementById("patternGrid")
+    this.patternItems.clear()
+    grid.replaceChildren(
+      ...[...PATTERNS, ...this.customPatterns].map((pattern) => {
+        const item = document.createElement("div")
+        item.className = "pattern-item"
+        item.title = pattern.name
+        item.innerHTML = `
+          <img src="${pattern.file}" alt="${pattern.name}" loading="lazy">
+          <div class="pattern-overlay"><i class="fas fa-plus"></i></div>
+        `
+        item.addEventListener("click", () => this.applyPattern(pattern.file))
+        this.patternItems.set(pattern.file, item)
+        return item
+      }),
+    )
+    this.updatePatternPanel()
+  }
+
+  async uploadPatternTile(file) {
+    if (!file.type.startsWith("image/")) {
+      this.showModal("⚠ Please upload an image file to use as a tile.")
+      return
+    }
+    const src = await this.readFileAsDataURL(file)
+    this.customPatterns.push({ name: file.name, file: src })
+    this.renderPatternGrid()
+    await this.applyPattern(src)
+  }
+
+  loadPatternImage(src) {
+    if (!this.patternImages.has(src)) {
+      const image = this.loadImageElement(src)
+      image.catch(() => this.patternImages.delete(src))
+      this.patternImages.set(src, image)
+    }
+    return this.patternImages.get(src)
+  }
+
+  loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+      fabric.util.loadImage(
+        src,
+        (img, isError) => (img && !isError ? resolve(img) : reject(new Error(`Could not load ${src}`))),
+        null,
+        "anonymous",
+      )
+    })
+  }
+
+  // A pattern fills the whole print and its bleed with a repeating tile. Switching tiles
+  // keeps the current size, rotation and other settings.
+  async applyPattern(src) {
+    const previous = this.getPatternLayer()
+    const layer = new fabric.Rect({ strokeWidth: 0, patternImage: true })
+    layer.patternSettings = { ...DEFAULT_PATTERN_SETTINGS, ...previous?.patternSettings, src }
+    try {
+      await this.updatePatternTile(layer)
+    } catch (error) {
+      console.error("Error loading pattern:", error)
+      this.showModal("⚠ This pattern could not be loaded.")
+      return
+    }
+    this.layoutPatternLayer(layer)
+
+    if (previous) this.canvas.remove(previous)
+    this.canvas.add(layer)
+    this.canvas.sendToBack(layer)
+    const background = this.getBackgroundLayer()
+    if (background) this.canvas.sendToBack(background)
+    this.setPatternMovable(this.patternMovable)
+    this.saveHistory("Apply pattern")
+  }
+
+  // Only spacing and tint change the tile itself; the rest is the pattern's transform.
+  // Live previews draw from a canvas, committed tiles are turned into an image so saving
+  // the design doesn't encode the tile all over again. Resolves false when a newer edit
+  // has replaced the settings in the meantime.
+  async updatePatternTile(layer, { final = true } = {}) {
+    const settings = layer.patternSettings
+    const key = JSON.stringify([settings.src, settings.spacing, settings.tint, settings.tintStrength])
+    const source = layer.fill?.source
+    if (layer.patternTileKey === key && (!final || !(source instanceof HTMLCanvasElement))) return true
+
+    let tile = await this.loadPatternImage(settings.src)
+    if (needsTileCanvas(settings)) {
+      tile = createPatternTile(tile, settings)
+      if (final) tile = await this.loadImageElement(tile.toDataURL("image/png"))
+    }
+    if (layer.patternSettings !== settings) return false
+
+    layer.patternTileKey = key
+    layer.set("fill", new fabric.Pattern({ source: tile, repeat: "repeat" }))
+    return true
+  }
+
+  // Sizes the layer to the print and bleed and anchors the tiling at the print's top-left
+  // corner, with scale and angle fitted so the repeat meets itself at the wrap seam
+  layoutPatternLayer(layer) {
+    const source = layer.fill?.source
+    if (!layer.patternSettings || !source) return
+
+    const { tileMm, rotation, spacing, offsetX, offsetY } = layer.patternSettings
+    const { width, height } = this.canvas
+    const bleed = this.getBleedPx()
+    const tileWidth = source.naturalWidth || source.width
+    const tileHeight = source.naturalHeight || source.height
+    const fit = fitPatternToSeam({
+      tileWidth,
+      tileHeight,
+      scale: (tileMm * (1 + spacing / 100) * this.getPixelsPerMm()) / tileWidth,
+      angle: fabric.util.degreesToRadians(rotation),
+      width,
+    })
+    const [a, b, c, d, e, f] = getPatternTransform({ tileWidth, tileHeight, ...fit, offsetX, offsetY })
+
+    layer.fill.patternTransform = [a, b, c, d, e + bleed, f + bleed]
+    layer.patternFit = { ...fit, tileWidth, tileHeight }
+    layer.set({
+      left: -bleed,
+      top: -bleed,
+      width: width + bleed * 2,
+      height: height + bleed * 2,
+      scaleX: 1,
+      scaleY: 1,
+      angle: 0,
+      dirty: true,
+    })
+    layer.setCoords()
+  }
+
+  async setPatternSettings(changes, { commit = false } = {}) {
+    const layer = this.getPatternLayer()
+    if (!layer?.patternSettings) return
+    layer.patternSettings = { ...layer.patternSettings, ...changes }
+    if (!(await this.updatePatternTile(layer, { final: commit }))) return
+
+    this.layoutPatternLayer(layer)
+    this.updatePatternPanel()
+    this.canvas.requestRenderAll()
+    if (commit) {
+      this.saveHistory("Edit pattern")
+      this.debouncedUpdate()
+    } else {
+      this.updateMugTextureLive()
+    }
+  }
+
+  // Dragging a tiled pattern slides the tiles; the layer itself stays over the print.
+  // Offsets are worked out from where the drag started, as fabric moves the layer by the
+  // pointer's total travel.
+  dragPattern(layer) {
+    const bleed = this.getBleedPx()
+    this.patternDragStart ??= layer.patternSettings
+    const start = this.patternDragStart
+    const offset = dragPatternOffset({ ...start, ...layer.patternFit }, layer.left + bleed, layer.top + bleed)
+    layer.patternSettings = { ...start, ...offset }
+    this.layoutPatternLayer(layer)
+    this.updatePatternPanel()
+    this.updateMugTextureLive()
+  }
+
+  updatePatternPanel() {
+    const layer = this.getPatternLayer()
+    // While a design loads the layer can arrive before it has been laid out
+    const settings = layer?.patternFit && layer.patternSettings
+    this.patternItems.forEach((item, src) => item.classList.toggle("active", src === settings?.src))
+    document.getElementById("patternSettings").hidden = !settings
+    if (!settings) return
+
+    document.querySelectorAll("#patternsPanel [data-pattern]").forEach((input) => {
+      input.value = settings[input.dataset.pattern]
+    })
+    const { angle, scale, tileWidth } = layer.patternFit
+    const fittedAngle = Math.round(fabric.util.radiansToDegrees(angle) * 10) / 10
+    const labels = {
+      tileMm: `${settings.tileMm} mm`,
+      rotation: `${fittedAngle}°`,
+      offsetX: `${Math.round(settings.offsetX)}%`,
+      offsetY: `${Math.round(settings.offsetY)}%`,
+      spacing: `${settings.spacing}%`,
+      tintStrength: `${settings.tintStrength}%`,
+    }
+    document.querySelectorAll("#patternsPanel [data-pattern-value]").forEach((output) => {
+      output.textContent = labels[output.dataset.patternValue]
+    })
+
+    const printedMm = (scale * tileWidth) / (1 + settings.spacing / 100) / this.getPixelsPerMm()
+    document.getElementById("patternFit").textContent = `Fitted to ${printedMm.toFixed(1)} mm so tiles meet at the seam`
+    this.renderDpiBadge(document.getElementById("patternDpi"), Math.round(this.getPixelsPerInch() / scale))
+  }
+
+  // fabric leaves patternTransform out of SVG patterns, so the tiled layer writes its own
+  patternLayerToSVG(layer) {
+    const { source, patternTransform } = layer.fill
+    const id = `pattern-layer-${fabric.Object.__uid++}`
+    const width = source.naturalWidth || source.width
+    const height = source.naturalHeight || source.height
+    const [a, b, c, d, e, f] = patternTransform
+    const href = this.getSvgImageHref(source)
+    const transform = `matrix(${[a, b, c, d, e + layer.left, f + layer.top].join(" ")})`
+    const visibility = layer.visible ? "" : ' visibility="hidden"'
+    return [
+      `<defs><pattern id="${id}" patternUnits="userSpaceOnUse" width="${width}" height="${height}" patternTransform="${transform}">`,
+      `<image width="${width}" height="${height}" xlink:href="${href}" /></pattern></defs>`,
+      `<rect x="${layer.left}" y="${layer.top}" width="${layer.width}" height="${layer.height}" fill="url(#${id})" opacity="${layer.opacity}"${visibility} />`,
+      "",
+    ].join("\n")
+  }
+
+  // Images are written into the SVG as data URLs, so it stays self-contained
+  getSvgImageHref(source) {
+    const href = source instanceof HTMLCanvasElement ? source.toDataURL("image/png") : source.src
+    if (href.startsWith("data:")) return href
+    const canvas = fabric.util.createCanvasElement()
+    canvas.width = source.naturalWidth || source.width
+    canvas.height = source.naturalHeight || source.height
+    canvas.getContext("2d").drawImage(source, 0, 0)
+    return canvas.toDataURL("image/png")
+  }
+
+  getBackgroundLayer() {
+    return this.canvas.getObjects().find((obj) => obj.backgroundSettings) || null
+  }
+
+  // Changes the background of the surface being edited, adding its layer under everything
+  // else when there is none yet.
+  setBackground(changes, { commit = false, image = null } = {}) {
+    let layer = this.getBackgroundLayer()
+    const settings = { ...DEFAULT_BACKGROUND_SETTINGS, ...layer?.backgroundSettings, ...changes }
+    // An image background starts with picking the image
+    if (settings.type === "image" && !image && !layer?.backgroundSource) {
+      document.getElementById("backgroundInput").click()
+      return
+    }
+
+    if (settings.type === "none") {
+      if (!layer) return
+      this.canvas.remove(layer)
+    } else {
+      const isNew = !layer
+      layer ??= new fabric.Rect({ name: "Background", strokeWidth: 0, selectable: false, evented: false })
+      layer.backgroundSettings = settings
+      if (image) layer.backgroundSource = image
+      this.layoutBackgroundLayer(layer)
+      if (isNew) {
+        this.canvas.add(layer)
+        this.canvas.sendToBack(layer)
+      }
+    }
+
+    this.updateBackgroundPanel()
+    this.canvas.requestRenderAll()
+    if (commit) {
+      this.saveHistory(settings.type === "none" ? "Remove background" : "Change background")
+      this.debouncedUpdate()
+    } else {
+      this.updateMugTextureLive()
+    }
+  }
+
+  async uploadBackgroundImage(file) {
+    if (!file.type.startsWith("image/")) {
+      this.showModal("⚠ Please upload an image file to use as a background.")
+      return
+    }
+    try {
+      const image = await this.loadImageElement(await this.readFileAsDataURL(file))
+      this.setBackground({ type: "image" }, { image, commit: true })
+    } catch (error) {
+      console.error("Error loading background:", error)
+      this.showModal("⚠ This image could not be loaded.")
+    }
+  }
+
+  // The new stop goes halfway along the widest gap, in the colour the gap starts with
+  addBackgroundStop() {
+    const { stops } = this.getBackgroundLayer().backgroundSettings
+    const sorted = [...stops].sort((a, b) => a.offset - b.offset)
+    const gaps = sorted.slice(1).map((stop, i) => stop.offset - sorted[i].offset)
+    const i = gaps.indexOf(Math.max(...gaps))
+    const stop = { offset: Math.round((sorted[i].offset + sorted[i + 1].offset) / 2), color: sorted[i].color }
+    this.setBackground({ stops: [...stops, stop] }, { commit: true })
+  }
+
+  // Sizes the layer to the print and bleed and builds its fill for that size. Gradients and
+  // images are placed against the print, so the design looks the same with or without bleed.
+  layoutBackgroundLayer(layer) {
+    const settings = layer.backgroundSettings
+    const { width, height } = this.canvas
+    const bleed = this.getBleedPx()
+    const box = { left: bleed, top: bleed, width, height }
+    const size = { width: width + bleed * 2, height: height + bleed * 2 }
+    // A loaded design brings its image back as the pattern source
+    layer.backgroundSource ??= layer.fill?.source || null
+    const source = layer.backgroundSource
+
+    let fill = settings.color
+    if (settings.type === "linear" || settings.type === "radial") {
+      fill = new fabric.Gradient({
+        type: settings.type,
+        gradientUnits: "pixels",
+        coords: getGradientCoords(settings.type, settings.angle, box),
+        colorStops: getGradientStops(settings.stops),
+      })
+    } else if (settings.type === "image" && source) {
+      const { scale, x, y } = placeBackgroundImage(
+        {
+          imageMode: settings.imageMode,
+          tileWidth: settings.tileMm * this.getPixelsPerMm(),
+          wraps: this.profile.wraps !== false,
+        },
+        { imageWidth: source.naturalWidth || source.width, imageHeight: source.naturalHeight || source.height },
+        box,
+        { left: 0, top: 0, ...size },
+      )
+      fill = new fabric.Pattern({
+        source,
+        repeat: settings.imageMode === "tile" ? "repeat" : "no-repeat",
+        patternTransform: [scale, 0, 0, scale, x, y],
+      })
+    }
+
+    layer.set({
+      left: -bleed,
+      top: -bleed,
+      ...size,
+      scaleX: 1,
+      scaleY: 1,
+      angle: 0,
+      fill,
+      // Shows around an image that fits inside the print
+      backgroundColor: settings.type === "image" && settings.imageMode === "fit" ? settings.color : "",
+      dirty: true,
+    })
+    layer.setCoords()
+  }
+
+  setupBackgroundPanel() {
+    const addButtons = (containerId, options, attribute, onClick) => {
+      const container = document.getElementById(containerId)
+      Object.entries(options).forEach(([value, name]) => {
+        const button = document.createElement("button")
+        button.dataset[attribute] = value
+        button.textContent = name
+        button.addEventListener("click", () => onClick(value))
+        container.appendChild(button)
+      })
+    }
+    addButtons("backgroundTypes", BACKGROUND_TYPES, "backgroundType", (type) => {
+      this.setBackground({ type }, { commit: true })
+    })
+    addButtons("backgroundImageModes", BACKGROUND_IMAGE_MODES, "imageMode", (imageMode) => {
+      this.setBackground({ imageMode }, { commit: true })
+    })
+
+    // Background
+    const panel = document.getElementById("backgroundPanel")
+    const readValue = (input) => (input.type === "range" ? Number(input.value) : input.value)
+    const readChanges = (input) => {
+      if (input.dataset.background) return { [input.dataset.background]: readValue(input) }
+      if (!input.dataset.stop) return null
+      const index = Number(input.closest(".background-stop").dataset.stopIndex)
+      const stops = [...this.getBackgroundLayer().backgroundSettings.stops]
+      stops[index] = { ...stops[index], [input.dataset.stop]: readValue(input) }
+      return { stops }
+    }
+    panel.addEventListener("input", (e) => {
+      const changes = readChanges(e.target)
+      if (changes) this.setBackground(changes)
+    })
+    panel.addEventListener("change", (e) => {
+      const changes = readChanges(e.target)
+      if (changes) this.setBackground(changes, { commit: true })
+    })
+    document.getElementById("backgroundStops").addEventListener("click", (e) => {
+      const button = e.target.closest("[data-stop-remove]")
+      if (!button || button.disabled) return
+      const index = Number(button.closest(".background-stop").dataset.stopIndex)
+      const { stops } = this.getBackgroundLayer().backgroundSettings
+      this.setBackground({ stops: stops.filter((_, i) => i !== index) }, { commit: true })
+    })
+    document.getElementById("addBackgroundStopBtn").addEventListener("click", () => this.addBackgroundStop())
+
+    const backgroundInput = document.getElementById("backgroundInput")
+    document.getElementById("uploadBackgroundBtn").addEventListener("click", () => backgroundInput.click())
+    backgroundInput.addEventListener("change", async (e) => {
+      const [file] = e.target.files
+      if (file) await this.uploadBackgroundImage(file)
+      backgroundInput.value = ""
+    })
+    this.updateBackgroundPanel()
+  }
+
+  // Only the controls for the current kind of background are shown
+  updateBackgroundPanel() {
+    const layer = this.getBackgroundLayer()
+    const settings = layer?.backgroundSettings || { ...DEFAULT_BACKGROUND_SETTINGS, type: "none" }
+    const shown = settings.type === "image" ? ["image", settings.imageMode] : [settings.type]
+    const panel = document.getElementById("backgroundPanel")
+
+    panel.querySelectorAll("[data-background-type]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.backgroundType === settings.type)
+    })
+    panel.querySelectorAll("[data-image-mode]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.imageMode === settings.imageMode)
+    })
+    panel.querySelectorAll("[data-background-for]").forEach((element) => {
+      element.hidden = !element.dataset.backgroundFor.split(" ").some((token) => shown.includes(token))
+    })
+    panel.querySelectorAll("[data-background]").forEach((input) => {
+      input.value = settings[input.dataset.background]
+    })
+    panel.querySelector('[data-background-value="angle"]').textContent = `${settings.angle}°`
+    panel.querySelector('[data-background-value="tileMm"]').textContent = `${settings.tileMm} mm`
+    this.renderBackgroundStops(settings.stops)
+
+    const scale = settings.type === "image" && layer.fill?.patternTransform?.[0]
+    const dpiBadge = document.getElementById("backgroundDpi")
+    if (scale) this.renderDpiBadge(dpiBadge, Math.round(this.getPixelsPerInch() / scale))
+  }
+
+  // Rows are rebuilt only when stops are added or removed, so a stop being dragged keeps its slider
+  renderBackgroundStops(stops) {
+    const list = document.getElementById("backgroundStops")
+    if (list.children.length !== stops.length) {
+      list.replaceChildren(
+        ...stops.map((_, index) => {
+          const row = document.createElement("div")
+          row.className = "background-stop"
+          row.dataset.stopIndex = index
+          row.innerHTML = `
+            <input type="color" data-stop="color" title="Stop colour">
+            <input type="range" data-stop="offset" min="0" max="100" title="Position">
+            <output></output>
+            <button data-stop-remove title="Remove stop"><i class="fas fa-xmark"></i></button>`
+          return row
+        }),
+      )
+    }
+    stops.forEach(({ offset, color }, index) => {
+      const row = list.children[index]
+      row.querySelector('[data-stop="color"]').value = color
+      row.querySelector('[data-stop="offset"]').value = offset
+      row.querySelector("output").textContent = `${offset}%`
+      row.querySelector("[data-stop-remove]").disabled = stops.length <= 2
+    })
+  }
+
+  // A tiled image is written as the pattern layer is; a single image is drawn once, over its
+  // colour, clipped to the layer.
+  backgroundLayerToSVG(layer) {
+    if (layer.fill.repeat === "repeat") return this.patternLayerToSVG(layer)
+
+    const { source, patternTransform } = layer.fill
+    const [scale, , , , x, y] = patternTransform
+    const id = `background-clip-${fabric.Object.__uid++}`
+    const rect = `x="${layer.left}" y="${layer.top}" width="${layer.width}" height="${layer.height}"`
+    const width = (source.naturalWidth || source.width) * scale
+    const height = (source.naturalHeight || source.height) * scale
+    const visibility = layer.visible ? "" : ' visibility="hidden"'
+    return [
+      `<defs><clipPath id="${id}"><rect ${rect} /></clipPath></defs>`,
+      `<g clip-path="url(#${id})" opacity="${layer.opacity}"${visibility}>`,
+      layer.backgroundColor ? `<rect ${rect} fill="${layer.backgroundColor}" />` : "",
+      `<image x="${layer.left + x}" y="${layer.top + y}" width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="${this.getSvgImageHref(source)}" />`,
+      "</g>",
+      "",
+    ].join("\n")
+  }
+
+  setMugPart(part, changes) {
+    this.mugParts[part] = { ...this.mugParts[part], ...changes }
+    this.updateMugMaterials()
+    this.updateMugPartsPanel()
+  }
+
+  // Designs from before per-part colours stored one colour for the inner mesh, which
+  // covered the inside, rim and handle
+  setMugParts({ mugParts, mugColor } = {}) {
+    const legacy = mugColor ? { color: mugColor, finish: null } : {}
+    this.mugParts = createMugParts()
+    Object.keys(this.mugParts).forEach((part) => {
+      const stored = mugParts?.[part] || (part === "body" ? {} : legacy)
+      this.mugParts[part] = { ...this.mugParts[part], ...stored }
+    })
+    this.updateMugMaterials()
+    this.updateMugPartsPanel()
+  }
+
+  setupMugPartsPanel() {
+    const tabs = document.getElementById("mugPartTabs")
+    Object.entries(MUG_PARTS).forEach(([part, { name }]) => {
+      const button = document.createElement("button")
+      button.dataset.mugPart = part
+      button.textContent = name
+      button.addEventListener("click", () => {
+        this.activeMugPart = part
+        this.updateMugPartsPanel()
+      })
+      tabs.appendChild(button)
+    })
+
+    const finishes = document.getElementById("mugFinishes")
+    Object.entries({ "": { name: "Standard" }, ...MUG_FINISHES }).forEach(([finish, { name }]) => {
+      const button = document.createElement("button")
+      button.dataset.finish = finish
+      button.textContent = name
+      button.addEventListener("click", () => {
+        this.setMugPart(this.activeMugPart, { finish: finish || null })
+        this.saveHistory("Change mug finish")
+      })
+      finishes.appendChild(button)
+    })
+    this.updateMugPartsPanel()
+  }
+
+  // Parts the current model has no mesh for can't be picked
+  updateMugPartsPanel() {
+    const modelLoaded = Object.keys(this.meshes).length > 0
+    const isMissing = (part) => modelLoaded && !this.getMesh(MUG_PARTS[part].role)
+    if (isMissing(this.activeMugPart)) this.activeMugPart = "body"
+
+    const { color, finish } = this.mugParts[this.activeMugPart]
+    document.querySelectorAll("#mugPartTabs [data-mug-part]").forEach((button) => {
+      const part = button.dataset.mugPart
+      button.classList.toggle("active", part === this.activeMugPart)
+      button.disabled = isMissing(part)
+      button.title = button.disabled ? "Not available on this product" : ""
+    })
+    document.querySelectorAll("#colorsPanel .color-swatch").forEach((swatch) => {
+      swatch.classList.toggle("active", swatch.dataset.color.toLowerCase() === color?.toLowerCase())
+    })
+    document.querySelectorAll("#mugFinishes [data-finish]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.finish === (finish || ""))
+    })
+    const defaultColor = this.getMesh(MUG_PARTS[this.activeMugPart].role)?.userData.defaultColor
+    document.getElementById("mugColorPicker").value = color || `#${defaultColor?.getHexString() || "ffffff"}`
+  }
+
+  // Mug colours and finishes in words, for the print job
+  describeMugParts() {
+    return Object.entries(this.mugParts)
+      .filter(([, { color, finish }]) => color || finish)
+      .map(([part, { color, finish }]) => {
+        const details = [color?.toUpperCase(), MUG_FINISHES[finish]?.name.toLowerCase()].filter(Boolean)
+        return `${MUG_PARTS[part].name} ${details.join(" ")}`
+      })
+      .join(", ")
+  }
+
+  setPatternMovable(movable) {
+    this.patternMovable = movable
+    const button = document.getElementById("togglePatternBtn")
+    button.innerHTML = movable
+      ? '<i class="fas fa-unlock"></i> Disable Pattern Movement'
+      : '<i class="fas fa-lock"></i> Enable Pattern Movement'
+
+    const objects = Object.values(this.surfaces).flatMap(({ canvas }) => canvas.getObjects())
+    objects.forEach((obj) => {
+      if (obj.patternImage) {
+        // Tiled patterns always cover the print, so they can only be dragged
+        const tiled = Boolean(obj.patternSettings)
+        obj.set({
+          selectable: movable,
+          evented: movable,
+          hasControls: movable && !tiled,
+          lockScalingX: !movable || tiled,
+          lockScalingY: !movable || tiled,
+          lockRotation: !movable || tiled,
+        })
+        obj.setCoords()
+      }
+    })
+    this.canvas.renderAll()
+    this.debouncedUpdate()
+  }
+
+  getGuides() {
+    return [this.bleedRect, this.safeRect, ...this.getHandleOverlay()]
+  }
+
+  getHandleOverlay() {
+    return [...this.handleZones, ...this.seamLines, ...this.handleLabels]
+  }
+
+  // loadFromJSON clears the canvas, so the guide objects have to be put back afterwards
+  restoreGuides() {
+    this.canvas.add(...this.getGuides())
+    this.canvas.sendToBack(this.safeRect)
+    this.canvas.sendToBack(this.bleedRect)
+  }
+
+  serializeDesign() {
+    return this.withBatchOriginals(() => ({
+      version: 1,
+      product: this.productId,
+      profile: this.surfaces.outside.profileId,
+      wrap: this.wrapMode,
+      canvas: this.serializeCanvas(this.surfaces.outside.canvas),
+      surfaces: this.serializeSurfaces(),
+      mugParts: this.mugParts,
+      patternMovable: this.patternMovable,
+      fonts: this.fontLibrary.serialize(this.getUsedFontFamilies()),
+    }))
+  }
+
+  // The outside is stored as `canvas`, as it was before there were other surfaces
+  serializeSurfaces() {
+    return Object.fromEntries(
+      Object.keys(this.surfaces)
+        .filter((id) => id !== "outside" && this.surfaceHasDesign(id))
+        .map((id) => [id, this.serializeCanvas(this.surfaces[id].canvas)]),
+    )
+  }
+
+  // Stored with the size it was laid out at, see fitObjectsToCanvas()
+  serializeCanvas(canvas) {
+    return { ...canvas.toJSON(DESIGN_PROPS), size: { width: canvas.width, height: canvas.height } }
+  }
+
+  // The canvas follows the window and the print's shape, so a design may have been laid out
+  // at another size. Objects keep their place as a share of the print and scale evenly with
+  // it, except that strips spanning the whole print are stretched to still reach both edges.
+  // Patterns and backgrounds are laid out afresh afterwards.
+  fitObjectsToCanvas(canvas, size) {
+    if (!size?.width || !size?.height) return
+    const sx = canvas.width / size.width
+    const sy = canvas.height / size.height
+    if (Math.abs(sx - 1) < 0.001 && Math.abs(sy - 1) < 0.001) return
+
+    const scale = Math.min(sx, sy)
+    const place = (obj, stretchX, stretchY) => {
+      const center = obj.getCenterPoint()
+      obj.set({ scaleX: obj.scaleX * (stretchX ? sx : scale), scaleY: obj.scaleY * (stretchY ? sy : scale) })
+      obj.setPositionByOrigin(new fabric.Point(center.x * sx, center.y * sy), "center", "center")
+      obj.setCoords()
+    }
+    canvas.getObjects().forEach((obj) => {
+      if (obj.excludeFromExport || obj.patternImage || obj.backgroundSettings) return
+      const rect = obj.getBoundingRect(true, true)
+      const stretchable = !obj.angle && !this.isText(obj) && obj.type !== "image" && obj.type !== "group"
+      const stretchX = stretchable && rect.left <= 0 && rect.left + rect.width >= size.width
+      const stretchY = stretchable && rect.top <= 0 && rect.top + rect.height >= size.height
+      place(obj, stretchX, stretchY)
+      // A filled photo frame is clipped by a copy of the frame on the canvas
+      if (obj.placeholder && obj.clipPath?.absolutePositioned) place(obj.clipPath, stretchX, stretchY)
+    })
+  }
+
+  // Replaces the canvas contents with a serialized design without touching history.
+  // Embedded fonts are loaded first so text is measured and drawn in its own font.
+  async loadDesign(design) {
+    this.isRestoring = true
+    try {
+      // A previewed CSV row belongs to the objects being replaced
+      this.batchOriginals.clear()
+      this.batchRow = null
+      if (design.product && design.product !== this.productId) this.setProduct(design.product)
+      if (design.profile && design.profile !== this.surfaces.outside.profileId) {
+        this.withSurface("outside", () => this.setProfile(design.profile))
+      }
+      await this.fontLibrary.registerAll(design.fonts)
+      this.updateFontPickers()
+      for (const id of Object.keys(this.surfaces)) {
+        const json = id === "outside" ? design.canvas : design.surfaces?.[id]
+        await this.loadSurfaceCanvas(id, json || EMPTY_CANVAS)
+      }
+      this.setWrapMode(!!design.wrap)
+      this.setMugParts(design)
+      this.setPatternMovable(!!design.patternMovable)
+      this.showSurface(this.surfaceId)
+      this.renderBatchBindings()
+    } finally {
+      this.isRestoring = false
+    }
+    await this.updateMugTextures()
+  }
+
+  loadSurfaceCanvas(id, { size, ...json }) {
+    return new Promise((resolve) => {
+      const canvas = this.surfaces[id].canvas
+      canvas.loadFromJSON(json, () => {
+        this.withSurface(id, () => {
+          this.fitObjectsToCanvas(canvas, size)
+          this.refreshSafeClips()
+          this.restoreGuides()
+          // The tiling is fitted to the canvas it is shown on, which may differ from the saved one
+          const pattern = this.getPatternLayer()
+          if (pattern) this.layoutPatternLayer(pattern)
+          const background = this.getBackgroundLayer()
+          if (background) this.layoutBackgroundLayer(background)
+        })
+        resolve()
+      })
+    })
+  }
+
+  async applyDesign(design, label = "Open design") {
+    await this.loadDesign(design)
+    this.history.reset(label, this.serializeDesign())
+  }
+
+  async captureThumbnail() {
+    await this.updateMugTexture()
+    this.controls.update()
+    this.renderer.render(this.scene, this.camera)
+
+    const source = this.renderer.domElement
+    const thumb = document.createElement("canvas")
+    thumb.width = THUMBNAIL_WIDTH
+    thumb.height = Math.round((THUMBNAIL_WIDTH * source.height) / source.width)
+    thumb.getContext("2d").drawImage(source, 0, 0, thumb.width, thumb.height)
+    return thumb.toDataURL("image/jpeg", 0.85)
+  }
+
+  async saveProject({ asNew = false } = {}) {
+    let name = this.currentProject?.name
+    if (!name || asNew) {
+      name = prompt("Name your design", asNew && name ? `${name} (copy)` : "Untitled design")
+      if (!name) return
+    }
+
+    try {
+      const thumbnail = await this.captureThumbnail()
+      this.currentProject = await this.projectStore.saveProject({
+        id: asNew ? null : this.currentProject?.id,
+        createdAt: asNew ? null : this.currentProject?.createdAt,
+        name,
+        thumbnail,
+        design: this.serializeDesign(),
+      })
+      this.updateProjectName()
+    } catch (error) {
+      console.error("Error saving design:", error)
+      this.showModal("⚠ Failed to save design. Please try again.")
+    }
+  }
+
+  async openProject(id) {
+    try {
+      const project = await this.projectStore.getProject(id)
+      if (!project) return
+      await this.applyDesign(project.design)
+      this.currentProject = { id: project.id, name: project.name, createdAt: project.createdAt }
+      this.updateProjectName()
+      document.getElementById("projectsModal").style.display = "none"
+    } catch (error) {
+      console.error("Error opening design:", error)
+      this.showModal("⚠ Failed to open design. Please try again.")
+    }
+  }
+
+  updateProjectName() {
+    document.getElementById("projectName").textContent = this.currentProject?.name || "Untitled design"
+  }
+
+  openProjectsBrowser() {
+    document.getElementById("projectsModal").style.display = "block"
+    this.renderProjectsBrowser()
+  }
+
+  async renderProjectsBrowser() {
+    const grid = document.getElementById("projectsGrid")
+    let projects
+    try {
+      projects = await this.projectStore.listProjects()
+    } catch (error) {
+      console.error("Error listing designs:", error)
+      grid.innerHTML = '<p class="projects-empty">Saved designs are not available in this browser</p>'
+      return
+    }
+
+    grid.innerHTML = ""
+    if (projects.length === 0) {
+      grid.innerHTML = '<p class="projects-empty">No saved designs yet</p>'
+      return
+    }
+
+    projects.forEach((project) => {
+      const card = document.createElement("div")
+      card.className = "project-card"
+      if (project.id === this.currentProject?.id) card.classList.add("active")
+
+      const thumb = document.createElement("img")
+      thumb.src = project.thumbnail
+      thumb.alt = project.name
+      thumb.addEventListener("click", () => this.openProject(project.id))
+      card.appendChild(thumb)
+
+      const name = document.createElement("h5")
+      name.textContent = project.name
+      card.appendChild(name)
+
+      const date = document.createElement("span")
+      date.textContent = new Date(project.updatedAt).toLocaleString()
+      card.appendChild(date)
+
+      const actions = document.createElement("div")
+      actions.className = "project-actions"
+      const addAction = (icon, title, handler) => {
+        const btn = document.createElement("button")
+        btn.title = title
+        btn.innerHTML = `<i class="fas ${icon}"></i>`
+        btn.addEventListener("click", async () => {
+          try {
+            await handler()
+          } catch (error) {
+            console.error(`Error running "${title}":`, error)
+            this.showModal(`⚠ ${title} failed. Please try again.`)
+          }
+          this.renderProjectsBrowser()
+        })
+        actions.appendChild(btn)
+      }
+
+      addAction("fa-folder-open", "Open", () => this.openProject(project.id))
+      addAction("fa-copy", "Duplicate", () => this.projectStore.duplicateProject(project.id, `${project.name} (copy)`))
+      addAction("fa-pen", "Rename", async () => {
+        const newName = prompt("Rename design", project.name)
+        if (!newName) return
+        await this.projectStore.renameProject(project.id, newName)
+        if (project.id === this.currentProject?.id) {
+          this.currentProject.name = newName
+          this.updateProjectName()
+        }
+      })
+      addAction("fa-trash", "Delete", async () => {
+        if (!confirm(`Delete "${project.name}"? This action cannot be undone.`)) return
+        await this.projectStore.deleteProject(project.id)
+        if (project.id === this.currentProject?.id) {
+          this.currentProject = null
+          this.updateProjectName()
+        }
+      })
+      card.appendChild(actions)
+
+      grid.appendChild(card)
+    })
+  }
+
+  openTemplatesBrowser() {
+    document.getElementById("templatesModal").style.display = "block"
+    this.renderTemplatesBrowser()
+  }
+
+  renderTemplatesBrowser() {
+    const grid = document.getElementById("templatesGrid")
+    grid.innerHTML = ""
+    TEMPLATES.forEach((template) => {
+      const card = document.createElement("div")
+      card.className = "project-card template-card"
+
+      const thumb = document.createElement("img")
+      thumb.alt = template.name
+      thumb.addEventListener("click", () => this.openTemplate(template))
+      this.getTemplatePreview(template).then((src) => (thumb.src = src))
+      card.appendChild(thumb)
+
+      const name = document.createElement("h5")
+      name.textContent = template.name
+      card.appendChild(name)
+
+      const category = document.createElement("span")
+      category.textContent = TEMPLATE_CATEGORIES[template.category]
+      card.appendChild(category)
+
+      grid.appendChild(card)
+    })
+  }
+
+  // Flat render of a template's print at the size of the outside canvas, made once
+  getTemplatePreview(template) {
+    if (!this.templatePreviews.has(template.id)) {
+      const { width, height } = this.surfaces.outside.canvas
+      const preview = new Promise((resolve) => {
+        const canvas = new fabric.StaticCanvas(null, { width, height })
+        const { size, ...json } = structuredClone(template.design.canvas)
+        canvas.loadFromJSON(json, () => {
+          this.fitObjectsToCanvas(canvas, size)
+          const pattern = canvas.getObjects().find((obj) => obj.patternSettings)
+          if (pattern) this.withSurface("outside", () => this.layoutPatternLayer(pattern))
+          const background = canvas.getObjects().find((obj) => obj.backgroundSettings)
+          if (background) this.withSurface("outside", () => this.layoutBackgroundLayer(background))
+          resolve(canvas.toDataURL({ format: "jpeg", quality: 0.85 }))
+          canvas.dispose()
+        })
+      })
+      this.templatePreviews.set(template.id, preview)
+    }
+    return this.templatePreviews.get(template.id)
+  }
+
+  // A template opens as a new, unsaved design with its placeholders highlighted
+  async openTemplate(template) {
+    try {
+      this.showSurface("outside")
+      await this.applyDesign(structuredClone(template.design), "New from template")
+      this.currentProject = null
+      this.updateProjectName()
+      this.setPlaceholdersVisible(true)
+      document.getElementById("templatesModal").style.display = "none"
+    } catch (error) {
+      console.error("Error opening template:", error)
+      this.showModal("⚠ Failed to open template. Please try again.")
+    }
+  }
+
+  // Text and images on every surface of the product, the objects a CSV column can fill
+  getBindableObjects() {
+    return Object.keys(this.surfaces)
+      .filter((id) => this.isSurfaceAvailable(id))
+      .flatMap((surfaceId) =>
+        this.withSurface(surfaceId, () => this.getDesignObjects())
+          .map((obj, index) => ({ surfaceId, obj, index }))
+          .filter(({ obj }) => this.isText(obj) || obj.type === "image"),
+      )
+  }
+
+  getBoundObjects() {
+    return this.getBindableObjects().filter(({ obj }) => obj.dataField)
+  }
+
+  async loadBatchCsv(file) {
+    const { columns, rows } = parseCsv(await file.text())
+    if (!rows.length) {
+      this.showModal("⚠ This CSV file has no rows under its header.")
+      return
+    }
+    this.restoreBatchDesign()
+    this.batch = { ...this.batch, columns, rows }
+
+    // Objects named after a column are bound to it straight away
+    const byName = new Map(columns.map((column) => [column.toLowerCase(), column]))
+    const matches = this.getBindableObjects().filter(({ obj }) => !obj.dataField && byName.has(obj.name?.toLowerCase()))
+    matches.forEach(({ obj }) => (obj.dataField = byName.get(obj.name.toLowerCase())))
+    if (matches.length) this.saveHistory("Bind to column")
+
+    this.renderBatchBindings()
+  }
+
+  // Photos a CSV cell can name by file name
+  async addBatchPhotos(files) {
+    for (const file of files) {
+      this.batch.photos.set(file.name.toLowerCase(), await this.readFileAsDataURL(file))
+    }
+    this.updateBatchPanel()
+  }
+
+  // A cell names one of the added photos or holds an image URL
+  loadBatchImage(value) {
+    const src = this.batch.photos.get(value.split(/[\\/]/).pop().toLowerCase()) || value
+    if (!this.batchImages.has(src)) {
+      const image = new Promise((resolve, reject) => {
+        fabric.util.loadImage(
+          src,
+          (img, isError) => {
+            if (isError || !img) reject(new Error(`The photo "${value}" could not be loaded.`))
+            else resolve(img)
+          },
+          null,
+          "anonymous",
+        )
+      })
+      image.catch(() => this.batchImages.delete(src))
+      this.batchImages.set(src, image)
+    }
+    return this.batchImages.get(src)
+  }
+
+  // What a row changes in a bound object, so it can be put back
+  getBatchState(obj) {
+    return {
+      text: obj.text,
+      element: obj._originalElement,
+      width: obj.width,
+      height: obj.height,
+      scaleX: obj.scaleX,
+      scaleY: obj.scaleY,
+      selectable: obj.selectable,
+      evented: obj.evented,
+    }
+  }
+
+  setBatchState(obj, state) {
+    if (this.isText(obj)) {
+      obj.set({ text: state.text })
+    } else if (obj._originalElement !== state.element) {
+      obj.setElement(state.element)
+      obj.set({ width: state.width, height: state.height })
+    }
+    obj.set({ scaleX: state.scaleX, scaleY: state.scaleY, selectable: state.selectable, evented: state.evented })
+    obj.setCoords()
+  }
+
+  // Runs fn on the design as it is without the previewed row, so saving or a history step
+  // never stores a row's values as part of the design
+  withBatchOriginals(fn) {
+    const previewed = [...this.batchOriginals.keys()].map((obj) => [obj, this.getBatchState(obj)])
+    this.batchOriginals.forEach((original, obj) => this.setBatchState(obj, original))
+    try {
+      return fn()
+    } finally {
+      previewed.forEach(([obj, state]) => this.setBatchState(obj, state))
+    }
+  }
+
+  // Puts a row's values into the bound objects, remembering what they held before. Text
+  // that comes out wider than the safe zone is scaled down to fit; photos take the place
+  // of the old image, covering it in a placeholder frame and fitting inside it otherwise.
+  // Bound objects are locked until the design is restored, as an edit to them would be lost.
+  async applyBatchRow(row) {
+    for (const { surfaceId, obj } of this.getBoundObjects()) {
+      const value = row[obj.dataField]
+      if (!this.batchOriginals.has(obj)) {
+        const { canvas } = this.surfaces[surfaceId]
+        if (canvas.getActiveObjects().includes(obj)) canvas.discardActiveObject()
+        this.batchOriginals.set(obj, this.getBatchState(obj))
+      }
+      const original = this.batchOriginals.get(obj)
+
+      // A blank or missing cell shows the design's own content, not the previous row's
+      if (!value) {
+        this.setBatchState(obj, original)
+      } else if (this.isText(obj)) {
+        obj.set({ text: value, scaleX: original.scaleX, scaleY: original.scaleY })
+        const maxWidth = this.withSurface(surfaceId, () => this.getSafeZone().width)
+        const fit = Math.min(1, maxWidth / obj.getScaledWidth())
+        obj.set({ scaleX: original.scaleX * fit, scaleY: original.scaleY * fit })
+      } else {
+        const element = await this.loadBatchImage(value)
+        obj.setElement(element)
+        const fit = obj.placeholder ? Math.max : Math.min
+        const scale = fit(
+          (original.width * original.scaleX) / obj.width,
+          (original.height * original.scaleY) / obj.height,
+        )
+        obj.set({ scaleX: scale, scaleY: scale })
+      }
+      obj.set({ selectable: false, evented: false })
+      obj.setCoords()
+    }
+    Object.values(this.surfaces).forEach(({ canvas }) => canvas.requestRenderAll())
+  }
+
+  // Puts the design back as it was before any row was previewed or exported
+  restoreBatchDesign() {
+    if (!this.batchOriginals.size && this.batchRow === null) return
+    this.batchOriginals.forEach((original, obj) => this.setBatchState(obj, original))
+    this.batchOriginals.clear()
+    this.batchRow = null
+    Object.values(this.surfaces).forEach(({ canvas }) => canvas.requestRenderAll())
+    this.updateBatchPanel()
+    this.updateLayersPanel()
+    this.updateMugTextures()
+  }
+
+  // Shows a row on the canvas and the mug; index wraps around the rows. Previews run one
+  // after another so a quick run of clicks ends on the last row asked for.
+  previewBatchRow(index) {
+    const { rows } = this.batch
+    if (!rows.length) return Promise.resolve()
+    const rowIndex = (index + rows.length) % rows.length
+    this.batchTask = this.batchTask
+      .then(async () => {
+        await this.applyBatchRow(rows[rowIndex])
+        this.batchRow = rowIndex
+        this.updateBatchPanel()
+        this.updateLayersPanel()
+        await this.updateMugTextures()
+      })
+      .catch((error) => {
+        console.error("Error previewing row:", error)
+        this.showModal(`⚠ ${error.message}`)
+      })
+    return this.batchTask
+  }
+
+  // Numbered so the files sort in CSV order, then named after the row's text values
+  getBatchFileName(index, row) {
+    const fields = new Set(this.getBoundObjects().flatMap(({ obj }) => (this.isText(obj) ? [obj.dataField] : [])))
+    const label = this.toFileName([...fields].map((field) => row[field] || "").join(" "))
+    const number = String(index + 1).padStart(String(this.batch.rows.length).length, "0")
+    return label ? `${number}_${label}` : number
+  }
+
+  // One print file per row and surface, through the same pipeline as a single export,
+  // zipped with a manifest of what went into each file
+  async exportBatch(onProgress) {
+    const { rows } = this.batch
+    const { strToU8, zipSync } = await import("fflate")
+    const options = this.getExportOptions()
+    const bindings = this.getBoundObjects().map(({ surfaceId, obj, index }) => ({
+      surface: surfaceId,
+      layer: this.withSurface(surfaceId, () => this.getLayerName(obj, index)),
+      column: obj.dataField,
+    }))
+    const manifest = {
+      design: this.currentProject?.name || "Untitled design",
+      product: this.product.name,
+      profile: this.surfaces.outside.profile.name,
+      format: options.format,
+      dpi: options.format === "svg" ? null : options.dpi,
+      bleed: options.bleed,
+      bindings,
+      createdAt: new Date().toISOString(),
+      rows: [],
+    }
+    const files = {}
+
+    try {
+      for (const [index, row] of rows.entries()) {
+        onProgress?.(index, rows.length)
+        await this.applyBatchRow(row)
+        const fileName = this.getBatchFileName(index, row)
+        const jobLabel = `Row ${index + 1} of ${rows.length}`
+        const rowFiles = []
+        for (const id of this.getPrintSurfaces()) {
+          const { blob, filename } = await this.createSurfacePrintFile(id, { ...options, fileName, jobLabel })
+          files[filename] = new Uint8Array(await blob.arrayBuffer())
+          rowFiles.push(filename)
+        }
+        manifest.rows.push({ row: index + 1, values: row, files: rowFiles })
+      }
+    } finally {
+      this.restoreBatchDesign()
+    }
+
+    files["manifest.json"] = strToU8(JSON.stringify(manifest, null, 2))
+    // Print files are compressed already, so they are only stored
+    const zip = zipSync(files, { level: 0 })
+    this.downloadBlob(new Blob([zip], { type: "application/zip" }), `${this.getExportBaseName()}_batch.zip`)
+  }
+
+  renderBatchBindings() {
+    const list = document.getElementById("batchBindings")
+    const targets = this.getBindableObjects()
+    list.innerHTML = targets.length ? "" : '<p class="batch-empty">Add text or images to bind them to columns</p>'
+    targets.forEach(({ surfaceId, obj, index }) => {
+      const row = document.createElement("label")
+      row.className = "batch-binding"
+
+      const layerName = this.withSurface(surfaceId, () => this.getLayerName(obj, index))
+      const name = document.createElement("span")
+      name.textContent = surfaceId === "outside" ? layerName : `${SURFACES[surfaceId].name}: ${layerName}`
+      name.title = name.textContent
+      row.appendChild(name)
+
+      const select = document.createElement("select")
+      select.add(new Option("Not bound", ""))
+      new Set([...this.batch.columns, obj.dataField].filter(Boolean)).forEach((column) => {
+        select.add(new Option(column, column))
+      })
+      select.value = obj.dataField || ""
+      select.addEventListener("change", () => {
+        this.restoreBatchDesign()
+        obj.dataField = select.value || null
+        this.saveHistory(select.value ? "Bind to column" : "Unbind column")
+        this.updateBatchPanel()
+      })
+      row.appendChild(select)
+
+      list.appendChild(row)
+    })
+    this.updateBatchPanel()
+  }
+
+  updateBatchPanel() {
+    const { columns, rows, photos } = this.batch
+    const summary = [
+      `${rows.length} ${rows.length === 1 ? "row" : "rows"}`,
+      columns.join(", "),
+      photos.size ? `${photos.size} ${photos.size === 1 ? "photo" : "photos"}` : null,
+    ]
+    document.getElementById("batchSummary").textContent = rows.length
+      ? summary.filter(Boolean).join(" · ")
+      : "No CSV loaded"
+    document.getElementById("batchPreview").hidden = !rows.length
+    document.getElementById("batchRowLabel").textContent =
+      this.batchRow === null ? "Design" : `Row ${this.batchRow + 1} of ${rows.length}`
+    document.getElementById("batchResetBtn").disabled = this.batchRow === null
+    document.getElementById("exportBatchBtn").disabled = !rows.length || !this.getBoundObjects().length
+  }
+
+  animate() {
+    requestAnimationFrame(() => this.animate())
+    const delta = this.clock.getDelta()
+    // A turntable capture drives the renderer itself
+    if (this.isCapturing) return
+    if (this.turntable && this.mug) this.mug.rotation.y += THREE.MathUtils.degToRad(this.turntableSpeed) * delta
+    if (this.controls) this.controls.update()
+    if (this.renderer && this.scene && this.camera) {
+      this.renderer.render(this.scene, this.camera)
+    }
+  }
+}
+
+// Initialize the application
+new MugDesigner()
+
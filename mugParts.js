@@ -0,0 +1,101 @@
+import * as THREE from "three"
+
+// Parts of the mug that can be coloured, each tied to a mesh role from products.js
+export const MUG_PARTS = {
+  body: { name: "Body", role: "printable" },
+  inside: { name: "Inside", role: "inner" },
+  rim: { name: "Rim", role: "rim" },
+  handle: { name: "Handle", role: "handle" },
+}
+
+// Surface presets for MeshPhysicalMaterial. Reflective finishes carry their own environment
+// map so they read as metal in the live preview too; glitter adds a flake normal map.
+export const MUG_FINISHES = {
+  glossy: {
+    name: "Glossy",
+    material: { metalness: 0, roughness: 0.15, clearcoat: 1, clearcoatRoughness: 0.05 },
+  },
+  matte: {
+    name: "Matte",
+    material: { metalness: 0, roughness: 0.85, clearcoat: 0, clearcoatRoughness: 0 },
+  },
+  metallic: {
+    name: "Metallic",
+    material: { metalness: 0.9, roughness: 0.25, clearcoat: 0.4, clearcoatRoughness: 0.1 },
+    reflective: true,
+  },
+  glitter: {
+    name: "Glitter",
+    material: { metalness: 0.7, roughness: 0.35, clearcoat: 1, clearcoatRoughness: 0.05 },
+    reflective: true,
+    sparkle: true,
+  },
+}
+
+export function createMugParts() {
+  return Object.fromEntries(Object.keys(MUG_PARTS).map((part) => [part, { color: null, finish: null }]))
+}
+
+// Some models keep the inside, rim and handle in one mesh. This splits its triangles into
+// a mesh per part by position: the handle is whatever reaches out past the rim, the rim
+// is the band at the top, and the rest is the inside. The new meshes replace the original
+// in its parent and are named `${mesh.name}.inside`, `.rim` and `.handle`.
+export function splitMugParts(mesh, { rimDepth = 0.06 } = {}) {
+  const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry
+  const { position } = geometry.attributes
+  geometry.computeBoundingBox()
+  const { min, max } = geometry.boundingBox
+  const height = max.y - min.y
+
+  // The bottom of the inside is a disc centred on the mug's axis
+  const axis = new THREE.Vector2()
+  let bottomCount = 0
+  for (let i = 0; i < position.count; i++) {
+    if (position.getY(i) > min.y + height * 0.02) continue
+    axis.x += position.getX(i)
+    axis.y += position.getZ(i)
+    bottomCount++
+  }
+  axis.divideScalar(bottomCount)
+  const radiusAt = (i) => Math.hypot(position.getX(i) - axis.x, position.getZ(i) - axis.y)
+
+  const rimStart = max.y - height * rimDepth
+  let rimRadius = 0
+  for (let i = 0; i < position.count; i++) {
+    if (position.getY(i) >= rimStart) rimRadius = Math.max(rimRadius, radiusAt(i))
+  }
+
+  const triangles = { inside: [], rim: [], handle: [] }
+  for (let i = 0; i < position.count; i += 3) {
+    const radius = (radiusAt(i) + radiusAt(i + 1) + radiusAt(i + 2)) / 3
+    const y = (position.getY(i) + position.getY(i + 1) + position.getY(i + 2)) / 3
+    if (radius > rimRadius * 1.05) triangles.handle.push(i)
+    else if (y >= rimStart) triangles.rim.push(i)
+    else triangles.inside.push(i)
+  }
+
+  const parts = Object.entries(triangles).map(([part, starts]) => {
+    const partGeometry = new THREE.BufferGeometry()
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      const size = attribute.itemSize * 3
+      const array = new attribute.array.constructor(starts.length * size)
+      starts.forEach((start, n) => {
+        array.set(attribute.array.subarray(start * attribute.itemSize, start * attribute.itemSize + size), n * size)
+      })
+      partGeometry.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized))
+    })
+    const partMesh = new THREE.Mesh(partGeometry, mesh.material.clone())
+    partMesh.name = `${mesh.name}.${part}`
+    partMesh.position.copy(mesh.position)
+    partMesh.quaternion.copy(mesh.quaternion)
+    partMesh.scale.copy(mesh.scale)
+    partMesh.userData.ownsGeometry = true
+    partMesh.userData.axis = { x: axis.x, z: axis.y }
+    return partMesh
+  })
+
+  mesh.parent.add(...parts)
+  mesh.parent.remove(mesh)
+  if (geometry !== mesh.geometry) geometry.dispose()
+  return parts
+}
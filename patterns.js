@@ -0,0 +1,101 @@
+// Pattern tiles for the Patterns panel and the geometry that repeats them across the print.
+// The tile images live in images/pattern.
+export const PATTERNS = Array.from({ length: 20 }, (_, i) => ({
+  id: String(i + 1),
+  name: `Pattern ${i + 1}`,
+  file: `images/pattern/${i + 1}.jpg`,
+}))
+
+// tileMm is the printed width of one tile; offsets and spacing are percentages of the tile
+export const DEFAULT_PATTERN_SETTINGS = {
+  tileMm: 40,
+  rotation: 0,
+  offsetX: 0,
+  offsetY: 0,
+  spacing: 0,
+  tint: "#2563eb",
+  tintStrength: 0,
+}
+
+// Larger uploads are scaled down; the tile is drawn many times per render
+const MAX_TILE_SIZE = 2048
+
+export function needsTileCanvas({ spacing, tintStrength }) {
+  return spacing > 0 || tintStrength > 0
+}
+
+// One repeat of the pattern: the image with transparent spacing around it and the tint
+// laid over its opaque pixels
+export function createPatternTile(image, { spacing, tint, tintStrength }) {
+  const imageWidth = image.naturalWidth || image.width
+  const imageHeight = image.naturalHeight || image.height
+  const fit = Math.min(1, MAX_TILE_SIZE / Math.max(imageWidth, imageHeight))
+  const width = Math.round(imageWidth * fit)
+  const height = Math.round(imageHeight * fit)
+  const gapX = Math.round((width * spacing) / 100)
+  const gapY = Math.round((height * spacing) / 100)
+
+  const canvas = document.createElement("canvas")
+  canvas.width = width + gapX
+  canvas.height = height + gapY
+  const ctx = canvas.getContext("2d")
+  ctx.drawImage(image, Math.floor(gapX / 2), Math.floor(gapY / 2), width, height)
+  if (tintStrength > 0) {
+    ctx.globalCompositeOperation = "source-atop"
+    ctx.globalAlpha = tintStrength / 100
+    ctx.fillStyle = tint
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+  return canvas
+}
+
+// Difference between two angles, ignoring half turns (a lattice looks the same rotated by 180°)
+function latticeAngleDelta(from, to) {
+  const delta = (to - from) % Math.PI
+  if (delta > Math.PI / 2) return delta - Math.PI
+  if (delta <= -Math.PI / 2) return delta + Math.PI
+  return delta
+}
+
+// The print wraps around the mug, so the repeat only meets itself at the seam if moving
+// the print's width across lands on the same spot in the tiling. That holds when some step
+// of m tiles across and k tiles down is exactly horizontal and exactly that wide; this picks
+// the step that needs the smallest change to the requested scale and angle (radians), an
+// angle change counting double as it shows more than a slightly larger or smaller tile.
+export function fitPatternToSeam({ tileWidth, tileHeight, scale, angle, width }) {
+  const maxSteps = Math.ceil(width / (Math.min(tileWidth, tileHeight) * scale)) + 1
+  let best = null
+  for (let m = 0; m <= maxSteps; m++) {
+    for (let k = -maxSteps; k <= maxSteps; k++) {
+      if (m === 0 && k <= 0) continue
+      const x = m * tileWidth
+      const y = k * tileHeight
+      const fitScale = width / Math.hypot(x, y)
+      const fitAngle = angle + latticeAngleDelta(angle, -Math.atan2(y, x))
+      const error = 2 * Math.abs(fitAngle - angle) + Math.abs(Math.log(fitScale / scale))
+      if (!best || error < best.error) best = { scale: fitScale, angle: fitAngle, error }
+    }
+  }
+  return { scale: best.scale, angle: best.angle }
+}
+
+// patternTransform for a tile of the given size: scaled and rotated about the print's
+// top-left corner, then shifted by the offsets along the tile's own axes
+export function getPatternTransform({ tileWidth, tileHeight, scale, angle, offsetX, offsetY }) {
+  const cos = Math.cos(angle) * scale
+  const sin = Math.sin(angle) * scale
+  const dx = (offsetX / 100) * tileWidth
+  const dy = (offsetY / 100) * tileHeight
+  return [cos, sin, -sin, cos, cos * dx - sin * dy, sin * dx + cos * dy]
+}
+
+// Converts a drag across the print into tile offsets, wrapped to -50…50%
+export function dragPatternOffset({ tileWidth, tileHeight, scale, angle, offsetX, offsetY }, dx, dy) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const wrap = (value) => ((((value + 50) % 100) + 100) % 100) - 50
+  return {
+    offsetX: wrap(offsetX + ((cos * dx + sin * dy) / scale / tileWidth) * 100),
+    offsetY: wrap(offsetY + ((-sin * dx + cos * dy) / scale / tileHeight) * 100),
+  }
+}
@@ -0,0 +1,47 @@
+// Writes a pHYs chunk into PNG data so print software picks up the intended DPI
+const PNG_SIGNATURE_LENGTH = 8
+const IHDR_CHUNK_LENGTH = 25
+const INCHES_PER_METER = 39.3701
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+export function dataURLToBytes(dataURL) {
+  const binary = atob(dataURL.split(",")[1])
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+export function setPngDpi(bytes, dpi) {
+  const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER)
+  const chunk = new Uint8Array(21)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, 9)
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4) // "pHYs"
+  view.setUint32(8, pixelsPerMeter)
+  view.setUint32(12, pixelsPerMeter)
+  chunk[16] = 1 // unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)))
+
+  // Canvas PNGs never carry their own pHYs, so it can go straight after IHDR
+  const offset = PNG_SIGNATURE_LENGTH + IHDR_CHUNK_LENGTH
+  const result = new Uint8Array(bytes.length + chunk.length)
+  result.set(bytes.subarray(0, offset), 0)
+  result.set(chunk, offset)
+  result.set(bytes.subarray(offset), offset + chunk.length)
+  return result
+}
@@ -0,0 +1,61 @@
+// Drinkware catalogue: the 3D model for each product, how to frame it, which meshes
+// play which role, and the print profile that defines its print area. splitMesh names a
+// mesh that holds the inside, rim and handle together; it is split into one mesh per part.
+// surfaces lists the print profile of each printable surface besides the outside.
+// The mugs are all one ceramic mug model, scaled to each size on purpose: they only differ
+// in proportions. The tumbler is a straight steel tumbler with a model of its own and no handle.
+export const PRODUCTS = {
+  "mug-11oz": {
+    name: "11oz Mug",
+    model: "images/mug.glb",
+    scale: [40, 40, 40],
+    rotationY: Math.PI * 0.3,
+    meshes: { printable: "Object_4", inner: "Object_5.inside", rim: "Object_5.rim", handle: "Object_5.handle" },
+    splitMesh: "Object_5",
+    camera: { position: [0, 0, 40], minDistance: 10, maxDistance: 25 },
+    profile: "printful-11oz",
+    surfaces: {
+      inside: { profile: "inside-rim-standard", depth: 0.34 },
+      handle: { profile: "handle-standard" },
+    },
+  },
+  "mug-15oz": {
+    name: "15oz Mug",
+    model: "images/mug.glb",
+    scale: [40, 46, 40],
+    rotationY: Math.PI * 0.3,
+    meshes: { printable: "Object_4", inner: "Object_5.inside", rim: "Object_5.rim", handle: "Object_5.handle" },
+    splitMesh: "Object_5",
+    camera: { position: [0, 0, 44], minDistance: 11, maxDistance: 28 },
+    profile: "printful-15oz",
+    surfaces: {
+      inside: { profile: "inside-rim-standard", depth: 0.3 },
+      handle: { profile: "handle-standard" },
+    },
+  },
+  "latte-12oz": {
+    name: "12oz Latte Mug",
+    model: "images/mug.glb",
+    scale: [46, 34, 46],
+    rotationY: Math.PI * 0.3,
+    meshes: { printable: "Object_4", inner: "Object_5.inside", rim: "Object_5.rim", handle: "Object_5.handle" },
+    splitMesh: "Object_5",
+    camera: { position: [0, 0, 44], minDistance: 11, maxDistance: 28 },
+    profile: "sublimation-latte-12oz",
+    surfaces: {
+      inside: { profile: "inside-rim-latte", depth: 0.33 },
+      handle: { profile: "handle-latte" },
+    },
+  },
+  "tumbler-20oz": {
+    name: "20oz Skinny Tumbler",
+    model: "images/tumbler.glb",
+    scale: [20, 20, 20],
+    rotationY: Math.PI * 0.5,
+    meshes: { printable: "Body", inner: "Inside", rim: "Rim" },
+    camera: { position: [0, 0, 46], minDistance: 12, maxDistance: 32 },
+    profile: "sublimation-tumbler-20oz",
+  },
+}
+
+export const DEFAULT_PRODUCT = "mug-11oz"
@@ -0,0 +1,105 @@
+// Print profiles: the physical print area each product/vendor expects.
+// All measurements are in millimetres; the canvas converts them to pixels.
+export const PRINT_PROFILES = {
+  "printful-11oz": {
+    name: "Printful 11oz mug",
+    widthMm: 215.9,
+    heightMm: 88.9,
+    safeMm: { top: 1, right: 21, bottom: 1.8, left: 21 },
+    bleedMm: 3.5,
+    dpi: 300,
+    handleGapMm: 42,
+  },
+  "printful-15oz": {
+    name: "Printful 15oz mug",
+    widthMm: 215.9,
+    heightMm: 101.6,
+    safeMm: { top: 1, right: 21, bottom: 1.8, left: 21 },
+    bleedMm: 3.5,
+    dpi: 300,
+    handleGapMm: 42,
+  },
+  "printify-11oz": {
+    name: "Printify 11oz mug",
+    widthMm: 209.6,
+    heightMm: 97.8,
+    safeMm: { top: 3, right: 18, bottom: 3, left: 18 },
+    bleedMm: 3,
+    dpi: 300,
+    handleGapMm: 36,
+  },
+  "sublimation-11oz": {
+    name: "In-house sublimation 11oz",
+    widthMm: 228.6,
+    heightMm: 95.3,
+    safeMm: { top: 3, right: 3, bottom: 3, left: 3 },
+    bleedMm: 2,
+    dpi: 300,
+    handleGapMm: 25,
+  },
+  "sublimation-latte-12oz": {
+    name: "In-house sublimation 12oz latte",
+    widthMm: 241.3,
+    heightMm: 76.2,
+    safeMm: { top: 3, right: 3, bottom: 3, left: 3 },
+    bleedMm: 2,
+    dpi: 300,
+    handleGapMm: 28,
+  },
+  // A tumbler has no handle, so the whole wrap is printable up to the seam
+  "sublimation-tumbler-20oz": {
+    name: "In-house sublimation 20oz tumbler",
+    widthMm: 235.6,
+    heightMm: 208,
+    safeMm: { top: 5, right: 3, bottom: 5, left: 3 },
+    bleedMm: 2,
+    dpi: 300,
+    handleGapMm: 0,
+  },
+  // Extra print surfaces (see surfaces.js). Nothing covers the inside rim, so it has no
+  // handle zone; the handle strip doesn't wrap around at all.
+  "inside-rim-standard": {
+    name: "Inside rim, 11oz/15oz",
+    surface: "inside",
+    widthMm: 235,
+    heightMm: 30,
+    safeMm: { top: 3, right: 5, bottom: 3, left: 5 },
+    bleedMm: 2,
+    dpi: 300,
+    handleGapMm: 0,
+  },
+  "inside-rim-latte": {
+    name: "Inside rim, 12oz latte",
+    surface: "inside",
+    widthMm: 270,
+    heightMm: 25,
+    safeMm: { top: 3, right: 5, bottom: 3, left: 5 },
+    bleedMm: 2,
+    dpi: 300,
+    handleGapMm: 0,
+  },
+  "handle-standard": {
+    name: "Handle, 11oz/15oz",
+    surface: "handle",
+    widthMm: 18,
+    heightMm: 90,
+    safeMm: { top: 4, right: 3, bottom: 4, left: 3 },
+    bleedMm: 1,
+    dpi: 300,
+    handleGapMm: 0,
+    wraps: false,
+  },
+  "handle-latte": {
+    name: "Handle, 12oz latte",
+    surface: "handle",
+    widthMm: 18,
+    heightMm: 80,
+    safeMm: { top: 4, right: 3, bottom: 4, left: 3 },
+    bleedMm: 1,
+    dpi: 300,
+    handleGapMm: 0,
+    wraps: false,
+  },
+}
+
+export const DEFAULT_PROFILE = "printful-11oz"
@@ -0,0 +1,75 @@
+// IndexedDB persistence for saved designs
+const DB_NAME = "printcraft-studio"
+const DB_VERSION = 1
+const PROJECTS_STORE = "projects"
+
+export class ProjectStore {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+            db.createObjectStore(PROJECTS_STORE, { keyPath: "id" })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.dbPromise
+  }
+
+  async transaction(storeName, mode, action) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode)
+      const request = action(tx.objectStore(storeName))
+      tx.oncomplete = () => resolve(request?.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  async listProjects() {
+    const projects = await this.transaction(PROJECTS_STORE, "readonly", (store) => store.getAll())
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt)
+  }
+
+  getProject(id) {
+    return this.transaction(PROJECTS_STORE, "readonly", (store) => store.get(id))
+  }
+
+  async saveProject(project) {
+    const now = Date.now()
+    const record = {
+      ...project,
+      id: project.id || crypto.randomUUID(),
+      createdAt: project.createdAt || now,
+      updatedAt: now,
+    }
+    await this.transaction(PROJECTS_STORE, "readwrite", (store) => store.put(record))
+    return record
+  }
+
+  async duplicateProject(id, name) {
+    const project = await this.getProject(id)
+    if (!project) throw new Error(`Project ${id} not found`)
+    return this.saveProject({ ...project, id: null, createdAt: null, name })
+  }
+
+  async renameProject(id, name) {
+    const project = await this.getProject(id)
+    if (!project) throw new Error(`Project ${id} not found`)
+    return this.saveProject({ ...project, name })
+  }
+
+  deleteProject(id) {
+    return this.transaction(PROJECTS_STORE, "readwrite", (store) => store.delete(id))
+  }
+}
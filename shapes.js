@@ -0,0 +1,67 @@
+// Basic vector shapes for the Shapes & Clipart panel. Each factory builds its shape at
+// about the given size; the designer positions it and clips it to the safe zone.
+// fabric is loaded globally from its script tag.
+const HEART_PATH =
+  "M50 88C20 66 4 48 4 28 4 14 15 4 28 4c10 0 18 6 22 14 4-8 12-14 22-14 13 0 24 10 24 24 0 20-16 38-46 60z"
+const BUBBLE_PATH =
+  "M14 8h72a10 10 0 0 1 10 10v40a10 10 0 0 1-10 10H42L22 88l4-20H14A10 10 0 0 1 4 58V18A10 10 0 0 1 14 8z"
+
+function starPoints(size, spikes = 5, innerRatio = 0.45) {
+  const outer = size / 2
+  return Array.from({ length: spikes * 2 }, (_, i) => {
+    const radius = i % 2 ? outer * innerRatio : outer
+    const angle = (Math.PI * i) / spikes - Math.PI / 2
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) }
+  })
+}
+
+function scaledPath(path, size, options) {
+  const shape = new fabric.Path(path, options)
+  shape.scaleToWidth(size)
+  return shape
+}
+
+export const SHAPES = {
+  rect: {
+    name: "Rectangle",
+    icon: "fa-square-full",
+    create: ({ size, color }) => new fabric.Rect({ width: size * 1.4, height: size, fill: color }),
+  },
+  roundedRect: {
+    name: "Rounded rectangle",
+    icon: "fa-square",
+    create: ({ size, color }) =>
+      new fabric.Rect({ width: size * 1.4, height: size, rx: size / 6, ry: size / 6, fill: color }),
+  },
+  circle: {
+    name: "Circle",
+    icon: "fa-circle",
+    create: ({ size, color }) => new fabric.Circle({ radius: size / 2, fill: color }),
+  },
+  star: {
+    name: "Star",
+    icon: "fa-star",
+    create: ({ size, color }) => new fabric.Polygon(starPoints(size), { fill: color }),
+  },
+  heart: {
+    name: "Heart",
+    icon: "fa-heart",
+    create: ({ size, color }) => scaledPath(HEART_PATH, size, { fill: color }),
+  },
+  bubble: {
+    name: "Speech bubble",
+    icon: "fa-comment",
+    create: ({ size, color }) => scaledPath(BUBBLE_PATH, size * 1.2, { fill: color }),
+  },
+  line: {
+    name: "Line",
+    icon: "fa-minus",
+    create: ({ size, color }) =>
+      new fabric.Line([0, 0, size * 1.5, 0], {
+        stroke: color,
+        strokeWidth: Math.max(2, Math.round(size / 20)),
+        strokeLineCap: "round",
+        strokeUniform: true,
+      }),
+  },
+}
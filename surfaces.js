@@ -0,0 +1,111 @@
+import * as THREE from "three"
+
+// Share of the texture height left blank above and below the print area. Parts of a mesh
+// outside its print area sample this margin, so they keep the plain mug colour.
+export const SURFACE_UV_MARGIN = 0.05
+
+// A mesh gets its own copy of a geometry before its UVs are rewritten, as loaded models
+// share geometry between clones
+function ownGeometry(mesh) {
+  if (!mesh.userData.ownsGeometry) {
+    mesh.geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone()
+    mesh.userData.ownsGeometry = true
+  }
+  return mesh.geometry
+}
+
+function toTextureV(v) {
+  return SURFACE_UV_MARGIN + v * (1 - SURFACE_UV_MARGIN * 2)
+}
+
+// Wraps the print around the inside wall, from the top of the part down by depth (a share
+// of its height). The seam sits on the handle side, as it does outside.
+export function mapInsideRim(mesh, { depth }) {
+  const geometry = ownGeometry(mesh)
+  const { position } = geometry.attributes
+  geometry.computeBoundingBox()
+  const { min, max } = geometry.boundingBox
+  const axis = mesh.userData.axis || { x: (min.x + max.x) / 2, z: (min.z + max.z) / 2 }
+  const bandHeight = (max.y - min.y) * depth
+
+  const uv = new Float32Array(position.count * 2)
+  for (let i = 0; i < position.count; i++) {
+    const angle = Math.atan2(position.getZ(i) - axis.z, position.getX(i) - axis.x)
+    uv[i * 2] = (angle / (Math.PI * 2) + 1) % 1
+    uv[i * 2 + 1] = toTextureV(1 - (max.y - position.getY(i)) / bandHeight)
+  }
+  // Triangles across the seam would otherwise stretch over the whole print
+  for (let i = 0; i < position.count * 2; i += 6) {
+    const us = [uv[i], uv[i + 2], uv[i + 4]]
+    if (Math.max(...us) - Math.min(...us) < 0.5) continue
+    us.forEach((u, n) => {
+      if (u < 0.5) uv[i + n * 2] = u + 1
+    })
+  }
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uv, 2))
+}
+
+// Runs the print along the outer face of the handle, top to bottom, reading left to right
+// when the handle is seen from the side it points to (+x)
+export function mapHandle(mesh) {
+  const geometry = ownGeometry(mesh)
+  const { position, normal } = geometry.attributes
+  geometry.computeBoundingBox()
+  const { min, max } = geometry.boundingBox
+  const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2 }
+  const angleAt = (i) => Math.atan2(position.getY(i) - center.y, position.getX(i) - center.x)
+
+  const outer = []
+  for (let i = 0; i < position.count; i += 3) {
+    const corners = [i, i + 1, i + 2]
+    const px = corners.reduce((sum, j) => sum + position.getX(j), 0) / 3 - center.x
+    const py = corners.reduce((sum, j) => sum + position.getY(j), 0) / 3 - center.y
+    const nx = corners.reduce((sum, j) => sum + normal.getX(j), 0)
+    const ny = corners.reduce((sum, j) => sum + normal.getY(j), 0)
+    const facing = (nx * px + ny * py) / (Math.hypot(nx, ny) * Math.hypot(px, py) || 1)
+    outer.push(facing > 0.5)
+  }
+  const angles = []
+  outer.forEach((isOuter, n) => {
+    if (isOuter) angles.push(angleAt(n * 3), angleAt(n * 3 + 1), angleAt(n * 3 + 2))
+  })
+  const minAngle = Math.min(...angles)
+  const maxAngle = Math.max(...angles)
+
+  const uv = new Float32Array(position.count * 2)
+  for (let i = 0; i < position.count; i++) {
+    const blank = !outer[Math.floor(i / 3)]
+    uv[i * 2] = blank ? 0.5 : (max.z - position.getZ(i)) / (max.z - min.z)
+    uv[i * 2 + 1] = blank ? SURFACE_UV_MARGIN / 2 : toTextureV((angleAt(i) - minAngle) / (maxAngle - minAngle))
+  }
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uv, 2))
+}
+
+// Printable surfaces, each with its own design canvas. The outside uses the model's own
+// UVs; the others are mapped onto their mesh when the mug loads. Products list the print
+// profile for every extra surface they offer.
+export const SURFACES = {
+  outside: { name: "Outside", icon: "fa-mug-hot", role: "printable" },
+  inside: { name: "Inside rim", icon: "fa-circle-notch", role: "inner", mapUvs: mapInsideRim },
+  handle: { name: "Handle", icon: "fa-grip-lines-vertical", role: "handle", mapUvs: mapHandle },
+}
+
+// Texture for a surface with generated UVs: the design with a blank margin above and below
+export function createMarginTexture(image) {
+  const canvas = document.createElement("canvas")
+  const margin = Math.round((image.height * SURFACE_UV_MARGIN) / (1 - SURFACE_UV_MARGIN * 2))
+  canvas.width = image.width
+  canvas.height = image.height + margin * 2
+  const ctx = canvas.getContext("2d")
+  ctx.fillStyle = "#ffffff"
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(image, 0, margin)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.wrapS = THREE.RepeatWrapping
+  return texture
+}
+
+// Inverse of the V mapping above, for picking a point on the design from the 3D view
+export function fromTextureV(v) {
+  return (v - SURFACE_UV_MARGIN) / (1 - SURFACE_UV_MARGIN * 2)
+}
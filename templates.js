@@ -0,0 +1,220 @@
+// Starter designs for the Templates gallery. Each is a saved design (see serializeDesign)
+// laid out on the default 11oz canvas, without a product so it opens on the current mug;
+// it is fitted to whatever size the canvas is when it loads, see fitObjectsToCanvas().
+// Objects with a `placeholder` are the parts meant to be replaced: "text" placeholders are
+// edited in place and "image" placeholders are frames a photo is dropped into. Everything
+// else is fixed, so the layout stays as designed.
+import { DEFAULT_PATTERN_SETTINGS, PATTERNS } from "./patterns.js"
+import { DEFAULT_PROFILE, PRINT_PROFILES } from "./profiles.js"
+
+export const TEMPLATE_CATEGORIES = {
+  photo: "Photo",
+  family: "Family",
+  text: "Text",
+}
+
+// Placeholders can be picked and edited but not moved, scaled, rotated or deleted
+export const PLACEHOLDER_LOCKS = {
+  selectable: true,
+  evented: true,
+  hasControls: false,
+  lockMovementX: true,
+  lockMovementY: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  lockRotation: true,
+  layoutLocked: true,
+}
+const FIXED = { selectable: false, evented: false, hasControls: false, layoutLocked: true }
+
+// The default canvas is 614px wide, see DEFAULT_CANVAS_WIDTH
+const { widthMm, heightMm } = PRINT_PROFILES[DEFAULT_PROFILE]
+const CANVAS_SIZE = { width: 614, height: (614 * heightMm) / widthMm }
+
+function text(value, options) {
+  return {
+    type: "i-text",
+    text: value,
+    originX: "center",
+    originY: "center",
+    fontFamily: "Inter",
+    textAlign: "center",
+    ...FIXED,
+    ...options,
+  }
+}
+
+function textPlaceholder(value, options) {
+  return text(value, { ...options, ...PLACEHOLDER_LOCKS, placeholder: "text" })
+}
+
+function imagePlaceholder(shape, options) {
+  return {
+    type: shape,
+    originX: "center",
+    originY: "center",
+    fill: "#e2e8f0",
+    ...options,
+    ...PLACEHOLDER_LOCKS,
+    placeholder: "image",
+  }
+}
+
+// Laid out over the print when the design loads, see layoutPatternLayer()
+function patternLayer(index, settings) {
+  const src = PATTERNS[index].file
+  return {
+    type: "rect",
+    name: "Pattern",
+    strokeWidth: 0,
+    fill: { source: src, repeat: "repeat" },
+    patternImage: true,
+    patternSettings: { ...DEFAULT_PATTERN_SETTINGS, ...settings, src },
+  }
+}
+
+function design(objects, mugParts = {}) {
+  return {
+    version: 1,
+    wrap: false,
+    canvas: { objects, background: "white", size: CANVAS_SIZE },
+    mugParts,
+    patternMovable: false,
+    fonts: [],
+  }
+}
+
+export const TEMPLATES = [
+  {
+    id: "birthday-photo",
+    name: "Birthday photo",
+    category: "photo",
+    design: design(
+      [
+        { type: "rect", name: "Band", left: -12, top: 192, width: 638, height: 73, fill: "#fde68a", ...FIXED },
+        imagePlaceholder("circle", {
+          name: "Photo",
+          left: 200,
+          top: 120,
+          radius: 82,
+          stroke: "#f59e0b",
+          strokeWidth: 4,
+        }),
+        text("Happy Birthday", {
+          name: "Greeting",
+          left: 410,
+          top: 78,
+          fontFamily: "Times New Roman",
+          fontStyle: "italic",
+          fontSize: 34,
+          fill: "#b45309",
+        }),
+        textPlaceholder("Your Name", {
+          name: "Name",
+          left: 410,
+          top: 136,
+          fontSize: 44,
+          fontWeight: "bold",
+          fill: "#1f2937",
+        }),
+      ],
+      { inside: { color: "#f59e0b", finish: null }, handle: { color: "#f59e0b", finish: null } },
+    ),
+  },
+  {
+    id: "couple-photos",
+    name: "Two photos",
+    category: "photo",
+    design: design(
+      [
+        imagePlaceholder("rect", { name: "Left photo", left: 150, top: 126, width: 150, height: 190, rx: 12, ry: 12 }),
+        imagePlaceholder("rect", { name: "Right photo", left: 464, top: 126, width: 150, height: 190, rx: 12, ry: 12 }),
+        text("♥", { name: "Heart", left: 307, top: 92, fontFamily: "Arial", fontSize: 40, fill: "#e11d48" }),
+        textPlaceholder("Sam & Alex", {
+          name: "Names",
+          left: 307,
+          top: 148,
+          fontFamily: "Times New Roman",
+          fontStyle: "italic",
+          fontSize: 24,
+          fill: "#1f2937",
+        }),
+        textPlaceholder("14.02.2026", { name: "Date", left: 307, top: 184, fontSize: 14, fill: "#64748b" }),
+      ],
+      { inside: { color: "#e11d48", finish: "glossy" } },
+    ),
+  },
+  {
+    id: "best-dad",
+    name: "World's best dad",
+    category: "family",
+    design: design(
+      [
+        patternLayer(4, { tileMm: 30 }),
+        {
+          type: "rect",
+          name: "Panel",
+          left: 307,
+          top: 126,
+          originX: "center",
+          originY: "center",
+          width: 360,
+          height: 160,
+          rx: 16,
+          ry: 16,
+          fill: "#ffffff",
+          opacity: 0.92,
+          ...FIXED,
+        },
+        text("WORLD'S BEST", {
+          name: "Title",
+          left: 307,
+          top: 78,
+          fontSize: 22,
+          fontWeight: "bold",
+          charSpacing: 200,
+          fill: "#1e3a8a",
+        }),
+        textPlaceholder("DAD", { name: "Who", left: 307, top: 132, fontSize: 64, fontWeight: "bold", fill: "#1e3a8a" }),
+        textPlaceholder("Love, Sam", {
+          name: "Signature",
+          left: 307,
+          top: 184,
+          fontFamily: "Times New Roman",
+          fontStyle: "italic",
+          fontSize: 20,
+          fill: "#334155",
+        }),
+      ],
+      { inside: { color: "#1e3a8a", finish: null }, handle: { color: "#1e3a8a", finish: null } },
+    ),
+  },
+  {
+    id: "coffee-quote",
+    name: "But first, coffee",
+    category: "text",
+    design: design(
+      [
+        text("But first,", {
+          name: "Intro",
+          left: 307,
+          top: 70,
+          fontFamily: "Times New Roman",
+          fontStyle: "italic",
+          fontSize: 30,
+          fill: "#78350f",
+        }),
+        textPlaceholder("COFFEE", {
+          name: "Headline",
+          left: 307,
+          top: 132,
+          fontSize: 72,
+          fontWeight: "bold",
+          fill: "#78350f",
+        }),
+        textPlaceholder("— Your Name", { name: "Signature", left: 307, top: 198, fontSize: 16, fill: "#a16207" }),
+      ],
+      { inside: { color: "#78350f", finish: "matte" }, handle: { color: "#78350f", finish: "matte" } },
+    ),
+  },
+]
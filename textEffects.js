@@ -0,0 +1,207 @@
+// Text effects on top of fabric's text classes: arc text and a second, outer outline.
+// fabric is loaded globally from its script tag.
+const ARC_SAMPLES = 48
+
+export function hasOuterStroke(text) {
+  return Boolean(text.outerStroke && text.outerStrokeWidth > 0)
+}
+
+// Runs render() with target stroked in the outer outline of text, wide enough to show
+// around the regular outline, then puts the target's own stroke back
+export function withOuterStroke(target, text, render) {
+  const { stroke, strokeWidth, strokeLineJoin } = target
+  target.stroke = text.outerStroke
+  target.strokeWidth = (text.stroke ? text.strokeWidth : 0) + text.outerStrokeWidth * 2
+  target.strokeLineJoin = "round"
+  try {
+    return render()
+  } finally {
+    Object.assign(target, { stroke, strokeWidth, strokeLineJoin })
+  }
+}
+
+function registerOuterStroke() {
+  const proto = fabric.Text.prototype
+  const { _renderText, _getCacheCanvasDimensions, toSVG } = proto
+
+  proto.outerStroke = null
+  proto.outerStrokeWidth = 0
+  proto.cacheProperties = proto.cacheProperties.concat("outerStroke", "outerStrokeWidth")
+
+  proto._renderText = function (ctx) {
+    if (hasOuterStroke(this)) withOuterStroke(this, this, () => this._renderTextStroke(ctx))
+    _renderText.call(this, ctx)
+  }
+
+  // The outer outline reaches past the object's box, so the cache canvas has to grow with it
+  proto._getCacheCanvasDimensions = function () {
+    const dims = _getCacheCanvasDimensions.call(this)
+    if (hasOuterStroke(this)) {
+      dims.width += this.outerStrokeWidth * 2 * dims.zoomX
+      dims.height += this.outerStrokeWidth * 2 * dims.zoomY
+    }
+    return dims
+  }
+
+  proto.toSVG = function (reviver) {
+    const markup = toSVG.call(this, reviver)
+    return hasOuterStroke(this) ? withOuterStroke(this, this, () => toSVG.call(this, reviver)) + markup : markup
+  }
+}
+
+// Single-line text set on a circle. radius is measured to the baseline; reverse runs the
+// text along the bottom of the circle, still reading left to right.
+function registerArcText() {
+  const TextClass = fabric.Text
+
+  fabric.ArcText = fabric.util.createClass(TextClass, {
+    type: "arc-text",
+    radius: 150,
+    reverse: false,
+
+    _dimensionAffectingProps: TextClass.prototype._dimensionAffectingProps.concat("radius", "reverse"),
+    cacheProperties: TextClass.prototype.cacheProperties.concat("radius", "reverse"),
+
+    _splitTextIntoLines(text) {
+      return this.callSuper("_splitTextIntoLines", text.replace(/\r?\n/g, " "))
+    },
+
+    initDimensions() {
+      if (this.__skipDimension) return
+      this.callSuper("initDimensions")
+      this._arcLayout = this.computeArcLayout()
+      this.width = this._arcLayout.width
+      this.height = this._arcLayout.height
+    },
+
+    getArcLayout() {
+      if (!this._arcLayout) this.initDimensions()
+      return this._arcLayout
+    },
+
+    // Character centres on the baseline and their rotations, relative to the centre of
+    // the box that holds the whole arc (which is also where the circle centre is offset from)
+    computeArcLayout() {
+      const radius = Math.max(this.radius, 1)
+      const lineWidth = this.getLineWidth(0)
+      const bounds = this.__charBounds[0] || []
+      const ascent = this.fontSize * (1 - this._fontSizeFraction)
+      const descent = this.fontSize * this._fontSizeFraction
+      const direction = this.reverse ? 1 : -1
+      const pointAt = (angle, r) => ({ x: r * Math.sin(angle), y: direction * r * Math.cos(angle) })
+
+      // Glyphs point away from the centre on top of the circle and towards it underneath
+      const radii = this.reverse ? [radius - ascent, radius + descent] : [radius - descent, radius + ascent]
+      const halfSpan = lineWidth / 2 / radius
+      const points = []
+      for (let i = 0; i <= ARC_SAMPLES; i++) {
+        const angle = -halfSpan + (2 * halfSpan * i) / ARC_SAMPLES
+        radii.forEach((r) => points.push(pointAt(angle, r)))
+      }
+      const box = fabric.util.makeBoundingBoxFromPoints(points)
+      const centerX = box.left + box.width / 2
+      const centerY = box.top + box.height / 2
+
+      const chars = (this._textLines[0] || []).map((char, index) => {
+        const { left, width } = bounds[index]
+        const angle = (left + width / 2 - lineWidth / 2) / radius
+        const point = pointAt(angle, radius)
+        return { char, index, width, x: point.x - centerX, y: point.y - centerY, angle: -direction * angle }
+      })
+      return {
+        width: Math.max(box.width, 1),
+        height: Math.max(box.height, 1),
+        center: { x: -centerX, y: -centerY },
+        radius,
+        chars,
+      }
+    },
+
+    // Lines, underlines and backgrounds assume straight text
+    _renderTextLinesBackground() {},
+    _renderTextDecoration() {},
+
+    _renderTextCommon(ctx, method) {
+      const isFill = method === "fillText"
+      const paint = isFill ? this.fill : this.stroke
+      if (!paint || (!isFill && !this.strokeWidth)) return
+
+      ctx.save()
+      ctx.font = this._getFontDeclaration()
+      if (!isFill) this._setStrokeStyles(ctx, this)
+      this.getArcLayout().chars.forEach(({ char, width, x, y, angle }) => {
+        ctx.save()
+        ctx.translate(x, y)
+        ctx.rotate(angle)
+        const style = paint.toLive ? this.createCharGradient(ctx, paint, x, y, angle) : paint
+        if (isFill) {
+          ctx.fillStyle = style
+          ctx.fillText(char, -width / 2, 0)
+        } else {
+          ctx.strokeStyle = style
+          ctx.strokeText(char, -width / 2, 0)
+        }
+        ctx.restore()
+      })
+      ctx.restore()
+    },
+
+    // A gradient is defined on the whole object; each rotated glyph gets the same
+    // gradient with its end points carried into the glyph's own frame
+    createCharGradient(ctx, gradient, x, y, angle) {
+      const scale = gradient.gradientUnits === "percentage" ? { x: this.width, y: this.height } : { x: 1, y: 1 }
+      const toLocal = (px, py) => {
+        const dx = -this.width / 2 + px * scale.x + (gradient.offsetX || 0) - x
+        const dy = -this.height / 2 + py * scale.y + (gradient.offsetY || 0) - y
+        return [dx * Math.cos(angle) + dy * Math.sin(angle), -dx * Math.sin(angle) + dy * Math.cos(angle)]
+      }
+      const { x1, y1, x2, y2 } = gradient.coords
+      const canvasGradient = ctx.createLinearGradient(...toLocal(x1, y1), ...toLocal(x2, y2))
+      gradient.colorStops.forEach(({ offset, color, opacity }) => {
+        const stop = new fabric.Color(color)
+        if (opacity !== undefined) stop.setAlpha(stop.getAlpha() * opacity)
+        canvasGradient.addColorStop(offset, stop.toRgba())
+      })
+      return canvasGradient
+    },
+
+    // Exported as a single <text> on a circular <textPath>, so it stays live, editable text
+    _getSVGTextAndBg() {
+      const id = `arc-text-${fabric.Object.__uid++}`
+      const { center, radius } = this.getArcLayout()
+      const { x, y } = center
+      const sweep = this.reverse ? 0 : 1
+      const start = this.reverse ? y - radius : y + radius
+      const end = this.reverse ? y + radius : y - radius
+      const d = [
+        `M ${x} ${start}`,
+        `A ${radius} ${radius} 0 1 ${sweep} ${x} ${end}`,
+        `A ${radius} ${radius} 0 1 ${sweep} ${x} ${start}`,
+      ].join(" ")
+      const spacing = this.charSpacing ? ` letter-spacing="${(this.charSpacing / 1000) * this.fontSize}"` : ""
+      return {
+        textBgRects: [`\t\t<path id="${id}" d="${d}" fill="none" stroke="none" />\n`],
+        textSpans: [
+          `<textPath href="#${id}" xlink:href="#${id}" startOffset="50%" text-anchor="middle"${spacing}>`,
+          fabric.util.string.escapeXml(this.text),
+          "</textPath>",
+        ],
+      }
+    },
+
+    toObject(propertiesToInclude) {
+      return this.callSuper("toObject", ["radius", "reverse"].concat(propertiesToInclude))
+    },
+  })
+
+  fabric.ArcText.fromObject = (object, callback) => {
+    const styles = fabric.util.stylesFromArray(object.styles, object.text)
+    return fabric.Object._fromObject("ArcText", { ...object, styles }, callback, "text")
+  }
+}
+
+export function registerTextEffects() {
+  if (fabric.ArcText) return
+  registerOuterStroke()
+  registerArcText()
+}